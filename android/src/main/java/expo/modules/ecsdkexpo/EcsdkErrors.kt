@@ -0,0 +1,64 @@
+package expo.modules.ecsdkexpo
+
+import android.content.Context
+import com.elerts.ecsdk.api.model.ECClientData
+import com.elerts.ecsdk.api.model.ECError
+import expo.modules.kotlin.exception.CodedException
+import java.io.IOException
+
+/**
+ * Stable error codes surfaced to JavaScript. Must stay in sync with `EcsdkErrorCode` in src/EcsdkError.ts
+ * and EcsdkErrorCode in ios/EcsdkErrors.swift.
+ */
+object EcsdkErrorCode {
+  const val NOT_LOGGED_IN = "ECSDK_NOT_LOGGED_IN"
+  const val NO_ACTIVE_ORGANIZATION = "ECSDK_NO_ACTIVE_ORGANIZATION"
+  const val ORGANIZATION_NOT_FOUND = "ECSDK_ORGANIZATION_NOT_FOUND"
+  const val INVALID_TOKEN = "ECSDK_INVALID_TOKEN"
+  const val NETWORK_ERROR = "ECSDK_NETWORK_ERROR"
+  const val SERVER_ERROR = "ECSDK_SERVER_ERROR"
+  const val INVALID_ARGUMENT = "ECSDK_INVALID_ARGUMENT"
+  const val UNAVAILABLE = "ECSDK_UNAVAILABLE"
+  const val PUSH_REGISTRATION_FAILED = "ECSDK_PUSH_REGISTRATION_FAILED"
+  const val UNKNOWN = "ECSDK_UNKNOWN"
+}
+
+class EcsdkException(code: String, message: String?, cause: Throwable? = null) :
+  CodedException(code, message, cause)
+
+/**
+ * Maps an ECSDK API error to an EcsdkException.
+ * ECError only exposes a free-text message, so the code is derived from it.
+ */
+internal fun ECError.toEcsdkException(fallbackMessage: String): EcsdkException {
+  val message = errorMessage ?: fallbackMessage
+  val text = message.lowercase()
+  val code = when {
+    text.contains("unauthorized") || text.contains("401") || text.contains("invalid token") ||
+      text.contains("token") && text.contains("invalid") -> EcsdkErrorCode.INVALID_TOKEN
+    text.contains("network") || text.contains("timeout") || text.contains("timed out") ||
+      text.contains("connection") || text.contains("unable to resolve host") -> EcsdkErrorCode.NETWORK_ERROR
+    else -> EcsdkErrorCode.SERVER_ERROR
+  }
+  return EcsdkException(code, message)
+}
+
+/**
+ * Maps an exception thrown inside a module function to an EcsdkException,
+ * keeping codes that were already assigned.
+ */
+internal fun Throwable.toEcsdkException(): EcsdkException = when (this) {
+  is EcsdkException -> this
+  is IOException -> EcsdkException(EcsdkErrorCode.NETWORK_ERROR, message, this)
+  is IllegalArgumentException -> EcsdkException(EcsdkErrorCode.INVALID_ARGUMENT, message, this)
+  else -> EcsdkException(EcsdkErrorCode.UNKNOWN, message, this)
+}
+
+/**
+ * Throws ECSDK_NOT_LOGGED_IN if there is no ELERTS client token on the device.
+ */
+internal fun requireClientToken(context: Context) {
+  if (ECClientData(context).token == null) {
+    throw EcsdkException(EcsdkErrorCode.NOT_LOGGED_IN, "No client token available. Please login first.")
+  }
+}
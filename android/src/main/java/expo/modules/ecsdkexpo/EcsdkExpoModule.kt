@@ -3,12 +3,17 @@ package expo.modules.ecsdkexpo
 import expo.modules.kotlin.modules.Module
 import expo.modules.kotlin.modules.ModuleDefinition
 import java.net.URL
-import android.app.Activity
+import android.Manifest
 import android.content.Intent
+import android.os.Build
+import androidx.core.app.NotificationManagerCompat
+import expo.modules.interfaces.permissions.PermissionsResponseListener
+import expo.modules.interfaces.permissions.PermissionsStatus
 import android.graphics.Bitmap
 import android.graphics.BitmapFactory
 import android.util.Base64
 import expo.modules.kotlin.Promise
+import expo.modules.kotlin.functions.Queues
 
 import com.elerts.ecsdk.ECSDK
 import com.elerts.ecsdk.api.model.ECUserData
@@ -28,8 +33,138 @@ import com.elerts.ecsdk.ui.activity.ECAddOrgActivity
 import com.elerts.ecsdk.ui.notification.ECNotificationHelper
 import com.google.gson.JsonArray
 import com.google.firebase.messaging.FirebaseMessaging
+import java.lang.ref.WeakReference
 
 class EcsdkExpoModule : Module() {
+  companion object {
+    const val ON_NOTIFICATION_RECEIVED = "onNotificationReceived"
+    const val ON_NOTIFICATION_OPENED = "onNotificationOpened"
+    const val ON_PUSH_TOKEN_CHANGED = "onPushTokenChanged"
+    const val ON_SESSION_CHANGED = "onSessionChanged"
+    const val ON_ACTIVE_ORGANIZATION_CHANGED = "onActiveOrganizationChanged"
+    const val ON_UNREAD_COUNT_CHANGED = "onUnreadCountChanged"
+
+    // Request codes for the SDK screens started with startActivityForResult
+    private const val REPORT_SCREEN_REQUEST_CODE = 0xEC01
+    private const val ORGANIZATION_SCREEN_REQUEST_CODE = 0xEC02
+    private const val PROFILE_SCREEN_REQUEST_CODE = 0xEC03
+    private const val MESSAGE_LIST_REQUEST_CODE = 0xEC04
+
+    // The running module instance, used by components that live outside the module
+    // (e.g. ECSDKFirebaseMessagingService) to forward events to JavaScript
+    @Volatile
+    private var instance: WeakReference<EcsdkExpoModule>? = null
+
+    /**
+     * Sends an event to JavaScript if the module is currently loaded.
+     * Events emitted while the React instance is not running are dropped.
+     */
+    fun emit(eventName: String, payload: Map<String, Any?>) {
+      instance?.get()?.sendEvent(eventName, payload)
+    }
+  }
+
+  // Promises for SDK screens that are currently presented, keyed by request code
+  private val pendingScreens = mutableMapOf<Int, Promise>()
+
+  // Active organization ID when the organization screen was opened
+  private var organizationBeforeScreen: Int? = null
+
+  private fun presentScreen(intent: Intent, requestCode: Int, promise: Promise) {
+    val activity = appContext.currentActivity ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "No current activity")
+    if (pendingScreens.containsKey(requestCode)) {
+      promise.reject(EcsdkException(EcsdkErrorCode.UNAVAILABLE, "This screen is already presented"))
+      return
+    }
+    pendingScreens[requestCode] = promise
+    try {
+      activity.startActivityForResult(intent, requestCode)
+    } catch (e: Exception) {
+      // No result will come back to settle the promise, e.g. after an ActivityNotFoundException
+      pendingScreens.remove(requestCode)
+      throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "Failed to present screen: ${e.message}", e)
+    }
+  }
+
+  private fun organizationToMap(org: ECOrganizationData?): Map<String, Any?>? {
+    if (org == null) return null
+    return mapOf(
+      "organizationId" to org.id,
+      "name" to org.name,
+      "description" to ""
+    )
+  }
+
+  // showLauncherNotification puts the push data on the launcher intent as extras, marked with
+  // EXTRA_ELERTS_NOTIFICATION. Returns null for any other intent, including taps on the app's own pushes.
+  private fun notificationDataFromIntent(intent: Intent?): Map<String, Any?>? {
+    val extras = intent?.extras ?: return null
+    if (!extras.getBoolean(EXTRA_ELERTS_NOTIFICATION)) return null
+    return extras.keySet()
+      .filter { it != EXTRA_ELERTS_NOTIFICATION }
+      .associateWith { key -> extras.get(key)?.toString() }
+  }
+
+  // Notification taps received before JavaScript subscribed to onNotificationOpened,
+  // e.g. the tap that cold-started the app
+  private val pendingNotificationTaps = mutableListOf<Map<String, Any?>>()
+  private var isObservingNotificationOpened = false
+
+  private fun emitNotificationOpened(intent: Intent?) {
+    val data = notificationDataFromIntent(intent) ?: return
+    val payload = mapOf("data" to data)
+    if (isObservingNotificationOpened) {
+      sendEvent(ON_NOTIFICATION_OPENED, payload)
+    } else {
+      pendingNotificationTaps.add(payload)
+    }
+  }
+
+  // Calls back with the current FCM token, or rejects the promise if Firebase cannot issue one
+  private fun fetchFCMToken(promise: Promise, onToken: (String) -> Unit) {
+    try {
+      FirebaseMessaging.getInstance().token.addOnCompleteListener { task ->
+        val token = if (task.isSuccessful) task.result else null
+        if (token != null) {
+          onToken(token)
+        } else {
+          promise.reject(EcsdkException(EcsdkErrorCode.PUSH_REGISTRATION_FAILED, "Failed to get FCM token: ${task.exception?.message ?: "FCM token is null"}", task.exception))
+        }
+      }
+    } catch (e: Exception) {
+      // FirebaseMessaging is not available without google-services.json
+      promise.reject(EcsdkException(EcsdkErrorCode.PUSH_REGISTRATION_FAILED, "Failed to get FCM token: ${e.message}", e))
+    }
+  }
+
+  // Resolves with the JavaScript NotificationPermissionStatus. Below Android 13 there is no runtime
+  // permission, so the status only reflects whether the user turned notifications off in Settings.
+  private fun resolveNotificationPermission(ask: Boolean, promise: Promise) {
+    val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+    val notificationsEnabled = { NotificationManagerCompat.from(context).areNotificationsEnabled() }
+
+    if (Build.VERSION.SDK_INT < Build.VERSION_CODES.TIRAMISU) {
+      promise.resolve(if (notificationsEnabled()) "granted" else "denied")
+      return
+    }
+
+    val permissions = appContext.permissions ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "Permissions module not available")
+    val listener = PermissionsResponseListener { result ->
+      val status = result[Manifest.permission.POST_NOTIFICATIONS]?.status ?: PermissionsStatus.UNDETERMINED
+      // The permission stays granted when the user turns notifications off in Settings
+      promise.resolve(if (status == PermissionsStatus.GRANTED && !notificationsEnabled()) "denied" else status.status)
+    }
+    if (ask) {
+      permissions.askForPermissions(listener, Manifest.permission.POST_NOTIFICATIONS)
+    } else {
+      permissions.getPermissions(listener, Manifest.permission.POST_NOTIFICATIONS)
+    }
+  }
+
+  private fun emitActiveOrganizationChanged(org: ECOrganizationData?) {
+    sendEvent(ON_ACTIVE_ORGANIZATION_CHANGED, mapOf("organization" to organizationToMap(org)))
+  }
+
   // Each module class must implement the definition function. The definition consists of components
   // that describes the module's functionality and behavior.
   // See https://docs.expo.dev/modules/module-api for more details about available components.
@@ -39,6 +174,81 @@ class EcsdkExpoModule : Module() {
     // The module will be accessible from `requireNativeModule('EcsdkExpo')` in JavaScript.
     Name("EcsdkExpo")
 
+    Events(
+      ON_NOTIFICATION_RECEIVED,
+      ON_NOTIFICATION_OPENED,
+      ON_PUSH_TOKEN_CHANGED,
+      ON_SESSION_CHANGED,
+      ON_ACTIVE_ORGANIZATION_CHANGED,
+      ON_UNREAD_COUNT_CHANGED
+    )
+
+    OnCreate {
+      instance = WeakReference(this@EcsdkExpoModule)
+      // Create the ELERTS channel up front, so it shows up in the app's notification settings
+      // before the first notification is posted to it
+      appContext.reactContext?.takeIf { isNotificationChannelUsed(it) }?.let { createNotificationChannel(it) }
+    }
+
+    // Cold start from a notification tap
+    OnActivityEntersForeground {
+      val activity = appContext.currentActivity ?: return@OnActivityEntersForeground
+      emitNotificationOpened(activity.intent)
+      // Consume the marker so the tap is only reported once
+      activity.intent?.removeExtra(EXTRA_ELERTS_NOTIFICATION)
+    }
+
+    // Deliver taps queued before JavaScript subscribed
+    OnStartObserving(ON_NOTIFICATION_OPENED) {
+      isObservingNotificationOpened = true
+      pendingNotificationTaps.forEach { sendEvent(ON_NOTIFICATION_OPENED, it) }
+      pendingNotificationTaps.clear()
+    }
+
+    OnStopObserving(ON_NOTIFICATION_OPENED) {
+      isObservingNotificationOpened = false
+    }
+
+    // Resolve presented SDK screens when they finish
+    OnActivityResult { _, payload ->
+      val promise = pendingScreens.remove(payload.requestCode) ?: return@OnActivityResult
+
+      // ECReportActivity and ECProfileActivity do not document their result codes,
+      // so whether a report was sent or the profile saved is unknown
+      when (payload.requestCode) {
+        REPORT_SCREEN_REQUEST_CODE -> promise.resolve(mapOf(
+          "dismissed" to true,
+          "reportSubmitted" to null
+        ))
+        PROFILE_SCREEN_REQUEST_CODE -> promise.resolve(mapOf(
+          "dismissed" to true,
+          "profileSaved" to null
+        ))
+        ORGANIZATION_SCREEN_REQUEST_CODE -> {
+          // The user may have joined or switched organizations on this screen
+          val context = appContext.reactContext
+          val activeOrg = context?.let { ECOrganizationHelper.getActiveOrg(it) }
+          if (activeOrg?.id != organizationBeforeScreen) {
+            emitActiveOrganizationChanged(activeOrg)
+          }
+          promise.resolve(mapOf("dismissed" to true))
+        }
+        else -> promise.resolve(mapOf("dismissed" to true))
+      }
+    }
+
+    // Notification tap while the activity is already running
+    OnNewIntent { intent ->
+      emitNotificationOpened(intent)
+      intent.removeExtra(EXTRA_ELERTS_NOTIFICATION)
+    }
+
+    OnDestroy {
+      if (instance?.get() === this@EcsdkExpoModule) {
+        instance = null
+      }
+    }
+
     // Defines constant property on the module.
     Constant("PI") {
       Math.PI
@@ -56,7 +266,7 @@ class EcsdkExpoModule : Module() {
     // Create a new client account
     AsyncFunction("createClient") { userData: Map<String, Any?>, promise: Promise ->
       try {
-        val context = appContext.reactContext ?: throw Exception("React context not available")
+        val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
         
         val regData = ECUserData(context).apply {
           deviceId = userData["deviceId"] as? String ?: ECUtils.getDeviceId(context)
@@ -69,28 +279,30 @@ class EcsdkExpoModule : Module() {
         ECSDK.register(context, object : ECAPIListener<ECClientData> {
           override fun onAPICompleted(clientData: ECClientData?) {
             if (clientData != null && clientData.token != null) {
+              sendEvent(ON_SESSION_CHANGED, mapOf("loggedIn" to true, "clientToken" to clientData.token))
               promise.resolve(mapOf("token" to clientData.token))
             } else {
-              promise.reject("ECSDK_ERROR", "Failed to register: no client data", null)
+              promise.reject(EcsdkException(EcsdkErrorCode.SERVER_ERROR, "Failed to register: no client data"))
             }
           }
           
           override fun onAPIProgress(bytesUploaded: Long, totalBytes: Long) {}
           
           override fun onAPIError(error: ECError) {
-            promise.reject("ECSDK_ERROR", error.errorMessage ?: "Unknown error", null)
+            promise.reject(error.toEcsdkException("Unknown error"))
           }
         }, regData)
         
       } catch (e: Exception) {
-        promise.reject("ECSDK_ERROR", e.message, e)
+        promise.reject(e.toEcsdkException())
       }
     }
 
     // Update client information
     AsyncFunction("updateClientInfo") { userData: Map<String, Any?>, promise: Promise ->
       try {
-        val context = appContext.reactContext ?: throw Exception("React context not available")
+        val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+        requireClientToken(context)
         
         val regData = ECUserData(context).apply {
           firstName = userData["firstName"] as? String
@@ -109,19 +321,19 @@ class EcsdkExpoModule : Module() {
           override fun onAPIProgress(bytesUploaded: Long, totalBytes: Long) {}
           
           override fun onAPIError(error: ECError) {
-            promise.reject("ECSDK_ERROR", error.errorMessage ?: "Unknown error", null)
+            promise.reject(error.toEcsdkException("Unknown error"))
           }
         }, regData, clientData)
         
       } catch (e: Exception) {
-        promise.reject("ECSDK_ERROR", e.message, e)
+        promise.reject(e.toEcsdkException())
       }
     }
 
     // Get active organization
     AsyncFunction("getActiveOrganization") { promise: Promise ->
       try {
-        val context = appContext.reactContext ?: throw Exception("React context not available")
+        val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
         
         val activeOrg = ECOrganizationHelper.getActiveOrg(context)
         if (activeOrg != null) {
@@ -139,35 +351,39 @@ class EcsdkExpoModule : Module() {
         }
         
       } catch (e: Exception) {
-        promise.reject("ECSDK_ERROR", e.message, e)
+        promise.reject(e.toEcsdkException())
       }
     }
 
     // Show call police prompt
     Function("showCallPrompt") {
-      val activity = appContext.currentActivity ?: throw Exception("No current activity")
+      val activity = appContext.currentActivity ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "No current activity")
       ECPhoneHelper.showCallPrompt(activity)
     }
 
 
     // Present organization screen
-    Function("presentOrganizationScreen") {
-      val activity = appContext.currentActivity ?: throw Exception("No current activity")
+    AsyncFunction("presentOrganizationScreen") { promise: Promise ->
+      val activity = appContext.currentActivity ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "No current activity")
+      requireClientToken(activity)
+      organizationBeforeScreen = ECOrganizationHelper.getActiveOrg(activity)?.id
       val organizations = Intent(activity, ECAddOrgActivity::class.java)
-      activity.startActivity(organizations)
-    }
+      presentScreen(organizations, ORGANIZATION_SCREEN_REQUEST_CODE, promise)
+    }.runOnQueue(Queues.MAIN)
 
     // Present profile screen
-    Function("presentProfileScreen") {
-      val activity = appContext.currentActivity ?: throw Exception("No current activity")
+    AsyncFunction("presentProfileScreen") { promise: Promise ->
+      val activity = appContext.currentActivity ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "No current activity")
+      requireClientToken(activity)
       val profile = Intent(activity, ECProfileActivity::class.java)
-      activity.startActivity(profile)
-    }
+      presentScreen(profile, PROFILE_SCREEN_REQUEST_CODE, promise)
+    }.runOnQueue(Queues.MAIN)
 
     // List organizations
     AsyncFunction("listOrganizations") { joined: Boolean, promise: Promise ->
       try {
-        val context = appContext.reactContext ?: throw Exception("React context not available")
+        val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+        requireClientToken(context)
         
         ECOrganizationHelper.apiOrganizationList(context, joined, object : ECAPIListener<Map<String, List<ECOrganizationData>>> {
           override fun onAPICompleted(result: Map<String, List<ECOrganizationData>>?) {
@@ -189,19 +405,20 @@ class EcsdkExpoModule : Module() {
           override fun onAPIProgress(bytesUploaded: Long, totalBytes: Long) {}
           
           override fun onAPIError(error: ECError) {
-            promise.reject("ECSDK_ERROR", error.errorMessage ?: "Failed to get organizations", null)
+            promise.reject(error.toEcsdkException("Failed to get organizations"))
           }
         })
         
       } catch (e: Exception) {
-        promise.reject("ECSDK_ERROR", e.message, e)
+        promise.reject(e.toEcsdkException())
       }
     }
 
     // Join organization
     AsyncFunction("joinOrganization") { organizationId: Int, promise: Promise ->
       try {
-        val context = appContext.reactContext ?: throw Exception("React context not available")
+        val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+        requireClientToken(context)
         val clientData = ECUIClientData(context)
         
         // First get all organizations to find the ones matching the IDs
@@ -216,38 +433,39 @@ class EcsdkExpoModule : Module() {
                   override fun onAPICompleted(result: JsonArray?) {
                     // Set the org as active
                     ECOrganizationHelper.setActiveOrg(context, orgToJoin)
+                    emitActiveOrganizationChanged(orgToJoin)
                     promise.resolve(mapOf("success" to true))
                   }
                   
                   override fun onAPIProgress(bytesUploaded: Long, totalBytes: Long) {}
                   
                   override fun onAPIError(error: ECError) {
-                    promise.reject("ECSDK_ERROR", error.errorMessage ?: "Failed to join organization", null)
+                    promise.reject(error.toEcsdkException("Failed to join organization"))
                   }
                 }, clientData, listOf(orgToJoin))
               } else {
-                promise.reject("ECSDK_ERROR", "Organization not found", null)
+                promise.reject(EcsdkException(EcsdkErrorCode.ORGANIZATION_NOT_FOUND, "Organization not found"))
               }
             } else {
-              promise.reject("ECSDK_ERROR", "Failed to get organizations", null)
+              promise.reject(EcsdkException(EcsdkErrorCode.SERVER_ERROR, "Failed to get organizations"))
             }
           }
           
           override fun onAPIProgress(bytesUploaded: Long, totalBytes: Long) {}
           
           override fun onAPIError(error: ECError) {
-            promise.reject("ECSDK_ERROR", error.errorMessage ?: "Failed to get organizations", null)
+            promise.reject(error.toEcsdkException("Failed to get organizations"))
           }
         })
         
       } catch (e: Exception) {
-        promise.reject("ECSDK_ERROR", e.message, e)
+        promise.reject(e.toEcsdkException())
       }
     }
 
     // Get available organizations
     Function("getAvailableOrganizations") {
-      val context = appContext.reactContext ?: throw Exception("React context not available")
+      val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
       
       val joinedOrgs = ECOrganizationHelper.getAppOrgs(context)
       if (joinedOrgs != null && joinedOrgs.isNotEmpty()) {
@@ -266,7 +484,8 @@ class EcsdkExpoModule : Module() {
     // Set active organization
     AsyncFunction("setActiveOrganization") { organizationId: Int, promise: Promise ->
       try {
-        val context = appContext.reactContext ?: throw Exception("React context not available")
+        val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+        requireClientToken(context)
         
         // First try to find in joined organizations
         val joinedOrgs = ECOrganizationHelper.getAppOrgs(context)
@@ -274,6 +493,7 @@ class EcsdkExpoModule : Module() {
         
         if (targetOrgFromJoined != null) {
           ECOrganizationHelper.setActiveOrg(context, targetOrgFromJoined)
+          emitActiveOrganizationChanged(targetOrgFromJoined)
           promise.resolve(mapOf("success" to true))
         } else {
           // If not found in joined orgs, search in all available orgs
@@ -285,32 +505,34 @@ class EcsdkExpoModule : Module() {
                 
                 if (targetOrg != null) {
                   ECOrganizationHelper.setActiveOrg(context, targetOrg)
+                  emitActiveOrganizationChanged(targetOrg)
                   promise.resolve(mapOf("success" to true))
                 } else {
-                  promise.reject("ECSDK_ERROR", "Organization not found", null)
+                  promise.reject(EcsdkException(EcsdkErrorCode.ORGANIZATION_NOT_FOUND, "Organization not found"))
                 }
               } else {
-                promise.reject("ECSDK_ERROR", "Failed to get organizations", null)
+                promise.reject(EcsdkException(EcsdkErrorCode.SERVER_ERROR, "Failed to get organizations"))
               }
             }
             
             override fun onAPIProgress(bytesUploaded: Long, totalBytes: Long) {}
             
             override fun onAPIError(error: ECError) {
-              promise.reject("ECSDK_ERROR", error.errorMessage ?: "Failed to get organizations", null)
+              promise.reject(error.toEcsdkException("Failed to get organizations"))
             }
           })
         }
         
       } catch (e: Exception) {
-        promise.reject("ECSDK_ERROR", e.message, e)
+        promise.reject(e.toEcsdkException())
       }
     }
 
     // Present report screen
-    Function("presentReportScreen") {
-      val activity = appContext.currentActivity ?: throw Exception("No current activity")
-      val context = appContext.reactContext ?: throw Exception("React context not available")
+    AsyncFunction("presentReportScreen") { promise: Promise ->
+      val activity = appContext.currentActivity ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "No current activity")
+      val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+      requireClientToken(context)
       
       // Check if there's an active organization
       val activeOrg = ECOrganizationHelper.getActiveOrg(context)
@@ -319,23 +541,36 @@ class EcsdkExpoModule : Module() {
       if (activeOrg == null) {
         val joinedOrgs = ECOrganizationHelper.getAppOrgs(context)
         if (joinedOrgs != null && joinedOrgs.isNotEmpty()) {
-          throw Exception("No active organization selected. Please select an organization from your joined organizations list before submitting a report.")
+          throw EcsdkException(EcsdkErrorCode.NO_ACTIVE_ORGANIZATION, "No active organization selected. Please select an organization from your joined organizations list before submitting a report.")
         } else {
-          throw Exception("No active organization. Please join an organization first.")
+          throw EcsdkException(EcsdkErrorCode.NO_ACTIVE_ORGANIZATION, "No active organization. Please join an organization first.")
         }
       }
       
       // Create Intent as per SDK documentation
       val reportIntent = Intent()
       reportIntent.setClass(activity, ECReportActivity::class.java)
-      activity.startActivity(reportIntent)
-    }
+      presentScreen(reportIntent, REPORT_SCREEN_REQUEST_CODE, promise)
+    }.runOnQueue(Queues.MAIN)
 
     // Show message list activity
-    Function("showMessageList") {
-      val activity = appContext.currentActivity ?: throw Exception("No current activity")
+    AsyncFunction("showMessageList") { promise: Promise ->
+      val activity = appContext.currentActivity ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "No current activity")
+      requireClientToken(activity)
       val messageListIntent = Intent(activity, ECUISDK.getMessageListClass())
-      activity.startActivity(messageListIntent)
+      presentScreen(messageListIntent, MESSAGE_LIST_REQUEST_CODE, promise)
+      setUnreadCount(activity, 0)
+    }.runOnQueue(Queues.MAIN)
+
+    // Get the number of ELERTS notifications received since the message list was last opened
+    AsyncFunction("getUnreadCount") { promise: Promise ->
+      try {
+        val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+        requireClientToken(context)
+        promise.resolve(readUnreadCount(context))
+      } catch (e: Exception) {
+        promise.reject(e.toEcsdkException())
+      }
     }
 
     // FCM Token Management
@@ -349,21 +584,21 @@ class EcsdkExpoModule : Module() {
             if (token != null) {
               promise.resolve(token)
             } else {
-              promise.reject("ECSDK_ERROR", "FCM token is null", null)
+              promise.reject(EcsdkException(EcsdkErrorCode.PUSH_REGISTRATION_FAILED, "FCM token is null"))
             }
           } else {
-            promise.reject("ECSDK_ERROR", "Failed to get FCM token: ${task.exception?.message}", task.exception)
+            promise.reject(EcsdkException(EcsdkErrorCode.PUSH_REGISTRATION_FAILED, "Failed to get FCM token: ${task.exception?.message}", task.exception))
           }
         }
       } catch (e: Exception) {
-        promise.reject("ECSDK_ERROR", e.message, e)
+        promise.reject(e.toEcsdkException())
       }
     }
 
     // Update FCM token with ELERTS server
     AsyncFunction("updateFCMToken") { fcmToken: String?, promise: Promise ->
       try {
-        val context = appContext.reactContext ?: throw Exception("React context not available")
+        val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
         
         // Save token to preferences
         if (fcmToken != null) {
@@ -388,78 +623,165 @@ class EcsdkExpoModule : Module() {
             override fun onAPIProgress(bytesUploaded: Long, totalBytes: Long) {}
             
             override fun onAPIError(error: ECError) {
-              promise.reject("ECSDK_ERROR", error.errorMessage ?: "Failed to update FCM token", null)
+              promise.reject(error.toEcsdkException("Failed to update FCM token"))
             }
           }, regData, clientData)
         } else {
-          promise.reject("ECSDK_ERROR", "Client not registered. Please register first.", null)
+          promise.reject(EcsdkException(EcsdkErrorCode.NOT_LOGGED_IN, "Client not registered. Please register first."))
         }
         
       } catch (e: Exception) {
-        promise.reject("ECSDK_ERROR", e.message, e)
+        promise.reject(e.toEcsdkException())
       }
     }
 
     // Get stored FCM token from preferences
     Function("getStoredFCMToken") {
-      val context = appContext.reactContext ?: throw Exception("React context not available")
+      val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
       ECPreferenceManager.getString(context, ECSDKFirebaseMessagingService.PROPERTY_REG_ID, null)
     }
 
-    // Register for remote notifications (FCM)
-    // Note: FCM auto-registers when Firebase initializes, but this method
-    // can be used to manually trigger token refresh for consistency with iOS API
-    Function("registerForRemoteNotifications") {
-      // On Android, FCM automatically handles registration via ECSDKFirebaseMessagingService
-      // This method triggers a token refresh which will call onNewToken() in the service
-      // The service will automatically send the token to ELERTS server if user is registered
-      FirebaseMessaging.getInstance().token.addOnCompleteListener { task ->
-        if (task.isSuccessful) {
-          val token = task.result
-          android.util.Log.d("EcsdkAndroidExpoModule", "FCM token refreshed: ${token?.take(20)}...")
-          // Token will be automatically handled by ECSDKFirebaseMessagingService.onNewToken()
-          // if it's a new token, or can be manually updated via updateFCMToken()
-        } else {
-          android.util.Log.e("EcsdkAndroidExpoModule", "Failed to refresh FCM token: ${task.exception?.message}")
+    // Get the push token, same shape as the iOS APNS token
+    AsyncFunction("getPushToken") { promise: Promise ->
+      fetchFCMToken(promise) { token ->
+        promise.resolve(mapOf("type" to "fcm", "token" to token))
+      }
+    }
+
+    // Send the current FCM token to the ELERTS server
+    AsyncFunction("syncPushTokenWithServer") { promise: Promise ->
+      val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+      if (ECClientData(context).token == null) {
+        throw EcsdkException(EcsdkErrorCode.NOT_LOGGED_IN, "Client not registered. Please register first.")
+      }
+
+      fetchFCMToken(promise) { token ->
+        try {
+          ECPreferenceManager.putString(context, ECSDKFirebaseMessagingService.PROPERTY_REG_ID, token)
+
+          val regData = ECUserData(context).apply {
+            deviceId = ECUtils.getDeviceId(context)
+          }
+          ECSDK.clientUpdate(context, object : ECAPIListener<ECUserData> {
+            override fun onAPICompleted(result: ECUserData?) {
+              promise.resolve(mapOf("type" to "fcm", "token" to token))
+            }
+
+            override fun onAPIProgress(bytesUploaded: Long, totalBytes: Long) {}
+
+            override fun onAPIError(error: ECError) {
+              promise.reject(error.toEcsdkException("Failed to send push token to ELERTS"))
+            }
+          }, regData, ECClientData(context))
+        } catch (e: Exception) {
+          promise.reject(e.toEcsdkException())
         }
       }
     }
 
+    // Create or update the ELERTS notification channel
+    AsyncFunction("configureNotificationChannel") { options: Map<String, Any?>? ->
+      val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+      val importance = options?.get("importance") as String?
+      if (importance != null && !NOTIFICATION_CHANNEL_IMPORTANCES.containsKey(importance)) {
+        throw EcsdkException(
+          EcsdkErrorCode.INVALID_ARGUMENT,
+          "importance must be one of ${NOTIFICATION_CHANNEL_IMPORTANCES.keys.joinToString()}"
+        )
+      }
+      val channelId = createNotificationChannel(
+        context,
+        options?.get("name") as String?,
+        importance,
+        options?.get("description") as String?
+      )
+      mapOf("channelId" to channelId)
+    }
+
+    // Push messages and tokens forwarded by the app's own push stack (pushProvider "delegate")
+    AsyncFunction("handleRemoteMessage") { data: Map<String, String> ->
+      val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+      EcsdkPush.handleRemoteMessage(context, data)
+    }
+
+    AsyncFunction("handlePushToken") { token: String ->
+      val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+      if (token.isBlank()) {
+        throw EcsdkException(EcsdkErrorCode.INVALID_ARGUMENT, "Push token must not be empty")
+      }
+      EcsdkPush.onNewToken(context, token)
+    }
+
+    // Notification permission
+    AsyncFunction("getNotificationPermissionStatus") { promise: Promise ->
+      resolveNotificationPermission(ask = false, promise)
+    }
+
+    AsyncFunction("requestNotificationPermission") { _: Map<String, Any?>?, promise: Promise ->
+      resolveNotificationPermission(ask = true, promise)
+    }
+
+    // Register for remote notifications (FCM)
+    // FCM registers when Firebase initializes, so this resolves with the current token.
+    // A new token also reaches ECSDKFirebaseMessagingService.onNewToken(), which sends it to the ELERTS server.
+    AsyncFunction("registerForRemoteNotifications") { promise: Promise ->
+      fetchFCMToken(promise) { token ->
+        promise.resolve(token)
+      }
+    }
+
     // User Login/Logout Management
     
     // Login with existing ELERTS client token
     Function("login") { clientToken: String ->
       try {
-        val context = appContext.reactContext ?: throw Exception("React context not available")
+        val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
         
+        if (clientToken.isBlank()) {
+          throw EcsdkException(EcsdkErrorCode.INVALID_TOKEN, "Client token must not be empty")
+        }
+
         // Use ECUISDK.login() as per the SDK documentation
         ECUISDK.login(clientToken)
+        sendEvent(ON_SESSION_CHANGED, mapOf("loggedIn" to true, "clientToken" to clientToken))
         
         android.util.Log.d("EcsdkAndroidExpoModule", "User logged in with token")
+      } catch (e: EcsdkException) {
+        throw e
       } catch (e: Exception) {
-        throw Exception("Failed to login: ${e.message}")
+        throw EcsdkException(EcsdkErrorCode.UNKNOWN, "Failed to login: ${e.message}", e)
       }
     }
     
     // Logout current user
     Function("logout") {
       try {
-        val context = appContext.reactContext ?: throw Exception("React context not available")
+        val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
         
         // Use ECUISDK.logout() as per the SDK documentation
         ECUISDK.logout()
+        sendEvent(ON_SESSION_CHANGED, mapOf("loggedIn" to false, "clientToken" to null))
+        emitActiveOrganizationChanged(null)
+        setUnreadCount(context, 0)
         
         android.util.Log.d("EcsdkAndroidExpoModule", "User logged out")
       } catch (e: Exception) {
-        throw Exception("Failed to logout: ${e.message}")
+        throw EcsdkException(EcsdkErrorCode.UNKNOWN, "Failed to logout: ${e.message}", e)
       }
     }
     
     // Get current client token
     Function("getClientToken") {
-      val context = appContext.reactContext ?: throw Exception("React context not available")
+      val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
       val clientData = ECClientData(context)
       clientData.token
     }
+
+    // Environment the build uses, set by the config plugin's environments option
+    Function("getEnvironment") {
+      val context = appContext.reactContext ?: throw EcsdkException(EcsdkErrorCode.UNAVAILABLE, "React context not available")
+      val resourceId = context.resources.getIdentifier("ecsdk_environment", "string", context.packageName)
+      if (resourceId == 0) null else context.getString(resourceId)
+    }
   }
 }
@@ -0,0 +1,197 @@
+package expo.modules.ecsdkexpo
+
+import android.app.NotificationChannel
+import android.app.NotificationManager
+import android.app.PendingIntent
+import android.content.Context
+import android.content.Intent
+import android.content.pm.PackageManager
+import android.os.Build
+import android.os.Bundle
+import androidx.core.app.NotificationCompat
+import androidx.core.content.ContextCompat
+
+/**
+ * Notification tap behaviors set by the config plugin's notificationTapBehavior option.
+ * Must stay in sync with `NotificationTapBehavior` in src/EcsdkExpo.types.ts.
+ */
+object NotificationTapBehavior {
+  const val THREAD_LIST = "threadList"
+  const val EMIT_TO_JS = "emitToJs"
+}
+
+// Manifest meta-data written by the config plugin (plugins/android/manifest.js)
+private const val META_NOTIFICATION_TAP_BEHAVIOR = "expo.modules.ecsdkexpo.NOTIFICATION_TAP_BEHAVIOR"
+private const val META_NOTIFICATION_CHANNEL_ID = "expo.modules.ecsdkexpo.NOTIFICATION_CHANNEL_ID"
+private const val META_NOTIFICATION_CHANNEL_NAME = "expo.modules.ecsdkexpo.NOTIFICATION_CHANNEL_NAME"
+private const val META_NOTIFICATION_CHANNEL_IMPORTANCE = "expo.modules.ecsdkexpo.NOTIFICATION_CHANNEL_IMPORTANCE"
+private const val META_NOTIFICATION_ICON = "expo.modules.ecsdkexpo.NOTIFICATION_ICON"
+private const val META_NOTIFICATION_COLOR = "expo.modules.ecsdkexpo.NOTIFICATION_COLOR"
+
+// Channel FCM posts notification messages to while the app is in the background. The config plugin
+// points it at the ELERTS channel with pushProvider "ecsdk".
+private const val META_FIREBASE_DEFAULT_CHANNEL_ID = "com.google.firebase.messaging.default_notification_channel_id"
+
+// Marks the launcher intent of a notification posted by showLauncherNotification. Only intents
+// with it are reported as ELERTS notification taps, not taps on the app's own FCM notifications.
+internal const val EXTRA_ELERTS_NOTIFICATION = "expo.modules.ecsdkexpo.ELERTS_NOTIFICATION"
+
+// SharedPreferences file and key for the unread count, which the SDK does not expose
+private const val UNREAD_COUNT_PREFERENCES = "expo.modules.ecsdkexpo.unread"
+private const val UNREAD_COUNT_KEY = "count"
+
+// Used when the app was not prebuilt with the notification channel options
+private const val DEFAULT_NOTIFICATION_CHANNEL_ID = "ecsdk_alerts"
+private const val DEFAULT_NOTIFICATION_CHANNEL_NAME = "Alerts"
+
+/**
+ * Notification channel importances accepted by the config plugin's notificationChannelImportance
+ * option and configureNotificationChannel().
+ * Must stay in sync with `NotificationChannelImportance` in src/EcsdkExpo.types.ts.
+ */
+internal val NOTIFICATION_CHANNEL_IMPORTANCES = mapOf(
+  "min" to NotificationManager.IMPORTANCE_MIN,
+  "low" to NotificationManager.IMPORTANCE_LOW,
+  "default" to NotificationManager.IMPORTANCE_DEFAULT,
+  "high" to NotificationManager.IMPORTANCE_HIGH,
+  "max" to NotificationManager.IMPORTANCE_MAX
+)
+
+private fun metaData(context: Context): Bundle? {
+  val appInfo = context.packageManager.getApplicationInfo(context.packageName, PackageManager.GET_META_DATA)
+  return appInfo.metaData
+}
+
+internal fun notificationTapBehavior(context: Context): String {
+  return metaData(context)?.getString(META_NOTIFICATION_TAP_BEHAVIOR) ?: NotificationTapBehavior.THREAD_LIST
+}
+
+internal fun notificationChannelId(context: Context): String {
+  return metaData(context)?.getString(META_NOTIFICATION_CHANNEL_ID) ?: DEFAULT_NOTIFICATION_CHANNEL_ID
+}
+
+/**
+ * True if anything posts to the ELERTS channel: the module itself with the "emitToJs" tap behavior,
+ * or FCM when the channel is its default. ECMessageListService's notifications use the SDK's own
+ * channel, icon and color, which it has no documented way to configure.
+ */
+internal fun isNotificationChannelUsed(context: Context): Boolean {
+  return notificationTapBehavior(context) == NotificationTapBehavior.EMIT_TO_JS ||
+    metaData(context)?.getString(META_FIREBASE_DEFAULT_CHANNEL_ID) == notificationChannelId(context)
+}
+
+/**
+ * Creates or updates the channel ELERTS notifications are posted to, with the settings from
+ * the config plugin unless overridden. Android keeps the importance a channel was created with
+ * (the user may have changed it), so only the name and description of an existing channel change.
+ *
+ * @return The channel ID
+ */
+internal fun createNotificationChannel(
+  context: Context,
+  name: String? = null,
+  importance: String? = null,
+  description: String? = null
+): String {
+  val channelId = notificationChannelId(context)
+  if (Build.VERSION.SDK_INT < Build.VERSION_CODES.O) return channelId
+
+  val meta = metaData(context)
+  val channelImportance = NOTIFICATION_CHANNEL_IMPORTANCES[importance ?: meta?.getString(META_NOTIFICATION_CHANNEL_IMPORTANCE)]
+    ?: NotificationManager.IMPORTANCE_HIGH
+  val channel = NotificationChannel(
+    channelId,
+    name ?: meta?.getString(META_NOTIFICATION_CHANNEL_NAME) ?: DEFAULT_NOTIFICATION_CHANNEL_NAME,
+    channelImportance
+  )
+  if (description != null) {
+    channel.description = description
+  }
+
+  val manager = context.getSystemService(Context.NOTIFICATION_SERVICE) as NotificationManager
+  manager.createNotificationChannel(channel)
+  return channelId
+}
+
+/**
+ * Small icon from the config plugin's notificationIcon option, or the app icon
+ */
+internal fun notificationSmallIcon(context: Context): Int {
+  val icon = metaData(context)?.getInt(META_NOTIFICATION_ICON, 0) ?: 0
+  return if (icon != 0) icon else context.applicationInfo.icon
+}
+
+/**
+ * Accent color from the config plugin's notificationColor option, or null to use the default
+ */
+internal fun notificationColor(context: Context): Int? {
+  val color = metaData(context)?.getInt(META_NOTIFICATION_COLOR, 0) ?: 0
+  return if (color != 0) ContextCompat.getColor(context, color) else null
+}
+
+/**
+ * ELERTS notifications received since the message list was last opened.
+ * Kept by the module because the SDK has no unread count API, so it does not know about
+ * messages read in the SDK's screens or on another device.
+ */
+internal fun readUnreadCount(context: Context): Int {
+  return context.getSharedPreferences(UNREAD_COUNT_PREFERENCES, Context.MODE_PRIVATE).getInt(UNREAD_COUNT_KEY, 0)
+}
+
+/**
+ * Saves the unread count and emits onUnreadCountChanged if it changed
+ */
+internal fun setUnreadCount(context: Context, count: Int) {
+  if (readUnreadCount(context) == count) return
+  context.getSharedPreferences(UNREAD_COUNT_PREFERENCES, Context.MODE_PRIVATE)
+    .edit()
+    .putInt(UNREAD_COUNT_KEY, count)
+    .apply()
+  EcsdkExpoModule.emit(EcsdkExpoModule.ON_UNREAD_COUNT_CHANGED, mapOf("count" to count))
+}
+
+/**
+ * Posts a notification for an ELERTS push that opens the launcher activity when tapped,
+ * with the push data and EXTRA_ELERTS_NOTIFICATION as intent extras, so EcsdkExpoModule can
+ * forward the tap to JavaScript.
+ * Posted next to ECMessageListService's notification, which opens the SDK's own screens.
+ */
+internal fun showLauncherNotification(
+  context: Context,
+  data: Map<String, String>,
+  messageId: String?,
+  notificationTitle: String?,
+  notificationBody: String?
+) {
+  val launchIntent = context.packageManager.getLaunchIntentForPackage(context.packageName) ?: return
+  launchIntent.flags = Intent.FLAG_ACTIVITY_NEW_TASK or Intent.FLAG_ACTIVITY_SINGLE_TOP
+  data.forEach { (key, value) -> launchIntent.putExtra(key, value) }
+  launchIntent.putExtra(EXTRA_ELERTS_NOTIFICATION, true)
+
+  val notificationId = (messageId ?: data.toString()).hashCode()
+  val pendingIntent = PendingIntent.getActivity(
+    context,
+    notificationId,
+    launchIntent,
+    PendingIntent.FLAG_UPDATE_CURRENT or PendingIntent.FLAG_IMMUTABLE
+  )
+
+  val manager = context.getSystemService(Context.NOTIFICATION_SERVICE) as NotificationManager
+  val channelId = createNotificationChannel(context)
+
+  val title = notificationTitle ?: data["title"]
+    ?: context.applicationInfo.loadLabel(context.packageManager).toString()
+  val body = notificationBody ?: data["body"] ?: data["message"]
+
+  val builder = NotificationCompat.Builder(context, channelId)
+    .setSmallIcon(notificationSmallIcon(context))
+    .setContentTitle(title)
+    .setContentText(body)
+    .setStyle(NotificationCompat.BigTextStyle().bigText(body))
+    .setPriority(NotificationCompat.PRIORITY_HIGH)
+    .setAutoCancel(true)
+    .setContentIntent(pendingIntent)
+  notificationColor(context)?.let { builder.setColor(it) }
+
+  manager.notify(notificationId, builder.build())
+}
@@ -0,0 +1,145 @@
+package expo.modules.ecsdkexpo
+
+import android.content.Context
+import android.content.Intent
+import android.os.Build
+import com.elerts.ecsdk.ECSDK
+import com.elerts.ecsdk.api.model.ECClientData
+import com.elerts.ecsdk.api.model.ECUserData
+import com.elerts.ecsdk.services.ECMessageListService
+import com.elerts.ecsdk.utils.ECPreferenceManager
+import com.elerts.ecsdk.utils.ECUtils
+import com.google.firebase.messaging.RemoteMessage
+
+/**
+ * Handles ELERTS push messages and FCM tokens.
+ *
+ * With the config plugin's pushProvider "ecsdk", ECSDKFirebaseMessagingService calls it for every
+ * message. With pushProvider "delegate" the app's own FirebaseMessagingService (expo-notifications,
+ * @react-native-firebase/messaging, ...) receives MESSAGING_EVENT instead and forwards to it:
+ *
+ * ```kotlin
+ * override fun onMessageReceived(remoteMessage: RemoteMessage) {
+ *   if (remoteMessage.data["source"] == "my-backend") {
+ *     // Handle the app's own messages
+ *     return
+ *   }
+ *   EcsdkPush.handleRemoteMessage(this, remoteMessage)
+ * }
+ *
+ * override fun onNewToken(token: String) {
+ *   EcsdkPush.onNewToken(this, token)
+ * }
+ * ```
+ *
+ * Neither SDK documents a payload key that marks ELERTS messages, so every message passed in is
+ * handled as an ELERTS alert; the app forwards only the messages it knows are not its own.
+ *
+ * JavaScript push stacks can use `EcsdkPush` from ecsdk-expo, which calls the same functions.
+ */
+object EcsdkPush {
+  private const val TAG = "EcsdkPush"
+
+  // Service action - should match the string resource
+  private const val LIST_MESSAGE_SERVICE_ACTION = "com.elerts.ecsdk.LIST_MESSAGE_SERVICE"
+
+  /**
+   * Handles an ELERTS push message received by another FirebaseMessagingService.
+   */
+  @JvmStatic
+  fun handleRemoteMessage(context: Context, remoteMessage: RemoteMessage) {
+    handleMessage(
+      context,
+      remoteMessage.data,
+      remoteMessage.messageId,
+      remoteMessage.notification?.title,
+      remoteMessage.notification?.body
+    )
+  }
+
+  /**
+   * Handles the data of an ELERTS push message, e.g. forwarded from JavaScript.
+   */
+  @JvmStatic
+  fun handleRemoteMessage(context: Context, data: Map<String, String>) {
+    handleMessage(context, data, null, null, null)
+  }
+
+  /**
+   * Saves a new FCM token and sends it to the ELERTS server if a client is logged in.
+   */
+  @JvmStatic
+  fun onNewToken(context: Context, token: String) {
+    val applicationContext = context.applicationContext
+
+    // Save token to shared preferences
+    ECPreferenceManager.putString(applicationContext, ECSDKFirebaseMessagingService.PROPERTY_REG_ID, token)
+
+    // Send token to ELERTS server
+    sendTokenToServer(applicationContext)
+
+    EcsdkExpoModule.emit(
+      EcsdkExpoModule.ON_PUSH_TOKEN_CHANGED,
+      mapOf("type" to "fcm", "token" to token)
+    )
+  }
+
+  /**
+   * Starts ECMessageListService to handle the alert. With the "emitToJs" tap behavior it also
+   * posts a notification that opens the app, since the SDK has no documented way to change where
+   * a tap on ECMessageListService's notification goes. Either way the unread count goes up by one.
+   */
+  internal fun handleMessage(
+    context: Context,
+    data: Map<String, String>,
+    messageId: String?,
+    title: String?,
+    body: String?
+  ) {
+    // Start ECMessageListService to handle the alert
+    val listService = Intent(context, ECMessageListService::class.java)
+    listService.action = LIST_MESSAGE_SERVICE_ACTION
+
+    if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.O) {
+      context.startForegroundService(listService)
+    } else {
+      context.startService(listService)
+    }
+
+    if (notificationTapBehavior(context) == NotificationTapBehavior.EMIT_TO_JS) {
+      // ECMessageListService's notification opens the SDK screens; this one opens the app,
+      // so the tap reaches JavaScript
+      showLauncherNotification(context, data, messageId, title, body)
+    }
+
+    EcsdkExpoModule.emit(
+      EcsdkExpoModule.ON_NOTIFICATION_RECEIVED,
+      mapOf("data" to data)
+    )
+
+    setUnreadCount(context, readUnreadCount(context) + 1)
+  }
+
+  /**
+   * Sends the saved FCM token to the ELERTS server.
+   */
+  private fun sendTokenToServer(context: Context) {
+    try {
+      // Create user data with device ID
+      val regData = ECUserData(context).apply {
+        deviceId = ECUtils.getDeviceId(context)
+      }
+
+      // Get client data (contains the token)
+      val clientData = ECClientData(context)
+
+      // Only update if we have a client token (user is registered)
+      if (clientData.token != null) {
+        ECSDK.clientUpdate(context, null, regData, clientData)
+      }
+    } catch (e: Exception) {
+      // Log error but don't crash
+      android.util.Log.e(TAG, "Error sending FCM token to ELERTS server", e)
+    }
+  }
+}
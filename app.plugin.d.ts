@@ -0,0 +1,88 @@
+import type { ConfigPlugin } from "@expo/config-plugins";
+
+/**
+ * Props an entry of `environments` sets instead of the top-level ones
+ */
+export type EcsdkEnvironmentProps = {
+  /** ECSDK API Key of the environment's ELERTS organization. Required during prebuild */
+  ecsdkApiKey?: string;
+  /** iOS ELERTSKit product key */
+  productKey?: string;
+  /** Path to the environment's google-services.json */
+  googleServicesFile?: string;
+};
+
+/**
+ * Props of the ecsdk-expo config plugin
+ * Validated at runtime by plugins/props.js; keep the two in sync.
+ */
+export type EcsdkPluginProps = {
+  /** ECSDK API Key from ELERTS. Required during prebuild */
+  ecsdkApiKey?: string;
+  /** Google Maps API Key for the Android map screens. Required during prebuild */
+  googleMapsApiKey?: string;
+  /** Path to google-services.json. Required during prebuild with pushProvider "ecsdk" */
+  googleServicesFile?: string;
+  /** Android PRODUCT string resource (default: "PROVIDED BY ELERTS") */
+  productName?: string;
+  /** Android app_name string resource */
+  appName?: string;
+  /** Android short_display_name string resource */
+  shortDisplayName?: string;
+  /** iOS ELERTSKit product key */
+  productKey?: string;
+  /** GitHub username for the ECSDK packages. Required during prebuild with credentialStrategy "gradleProperties" or "localProperties" */
+  githubUsername?: string;
+  /** GitHub token with read:packages. Required during prebuild with credentialStrategy "gradleProperties" or "localProperties" */
+  githubToken?: string;
+  /** Where the GitHub credentials are kept for builds (default: "gradleProperties") */
+  credentialStrategy?: "gradleProperties" | "localProperties" | "environment" | "command";
+  /** Shell command that prints username=... and password=... lines. Required with credentialStrategy "command" */
+  credentialCommand?: string;
+  /** iOS only: show the unread count (see getUnreadCount) on the app icon badge (default: false) */
+  syncBadgeCount?: boolean;
+  /** What happens when an ELERTS notification is tapped (default: "threadList") */
+  notificationTapBehavior?: "threadList" | "emitToJs";
+  /** Which FirebaseMessagingService receives FCM messages on Android (default: "ecsdk") */
+  pushProvider?: "ecsdk" | "delegate" | "none";
+  /**
+   * ID of the Android notification channel for the module's own notifications ("emitToJs") and FCM's
+   * background notifications; ECMessageListService keeps the SDK's channel (default: "ecsdk_alerts")
+   */
+  notificationChannelId?: string;
+  /** Name of that channel in the app's notification settings (default: "Alerts") */
+  notificationChannelName?: string;
+  /** Importance the channel is created with (default: "high") */
+  notificationChannelImportance?: "min" | "low" | "default" | "high" | "max";
+  /** Path to the Android notification small icon, a white-on-transparent PNG */
+  notificationIcon?: string;
+  /** Android notification accent color as "#RRGGBB" or "#AARRGGBB" */
+  notificationColor?: string;
+  /** Exact ECSDK-Android version, instead of the default in sdk-versions.json */
+  androidSdkVersion?: string;
+  /** Exact ELERTSKit-iOS version, instead of the default in sdk-versions.json */
+  iosSdkVersion?: string;
+  /** Props for each environment, e.g. development, preview and production. ecsdkApiKey can then only be set here */
+  environments?: Record<string, EcsdkEnvironmentProps>;
+  /** Which of the environments the build uses (default: the ECSDK_ENVIRONMENT environment variable) */
+  environment?: string;
+};
+
+export type ValidateECSDKConfigOptions = {
+  /** Report missing API keys, credentials and google-services.json (default: only during prebuild) */
+  requireSecrets?: boolean;
+};
+
+/**
+ * Validate the plugin props the way the plugin does, reporting every problem at once
+ * @returns The props with defaults and the selected environment's props applied
+ * @throws Error listing every problem, with the list in `error.problems`
+ */
+export function validateECSDKConfig(
+  props?: EcsdkPluginProps,
+  options?: ValidateECSDKConfigOptions
+): EcsdkPluginProps;
+
+declare const withECSDK: ConfigPlugin<EcsdkPluginProps | void>;
+
+export default withECSDK;
@@ -2,19 +2,10 @@
 // IMPORTS
 // ============================================================================
 
-// iOS Plugins
-const {
-  withReportInfoPlist,
-  withReportBackgroundModes,
-} = require("./plugins/ios/infoPlist");
-const { withSPMGitHubAuth, withSPMFrameworks } = require("./plugins/ios/spm");
-const { withAppDelegateInitialization } = require("./plugins/ios/appDelegate");
-
-// Android Plugins
-const { withECSDKManifest } = require("./plugins/android/manifest");
-const { withECSDKStrings } = require("./plugins/android/strings");
+// Android plugins, then iOS plugins, then props validation
 const {
   withECSDKGradleProperties,
+  withECSDKLocalProperties,
   withGitHubPackagesRepository,
   withGoogleServicesGradle,
   withGoogleServicesAppGradle,
@@ -26,6 +17,29 @@ const {
 const {
   withECSDKMainApplication,
 } = require("./plugins/android/mainApplication");
+const {
+  withECSDKManifest,
+  withECSDKNotificationIcon,
+} = require("./plugins/android/manifest");
+const {
+  withECSDKStrings,
+  withECSDKNotificationColor,
+} = require("./plugins/android/strings");
+const { withAppDelegateInitialization } = require("./plugins/ios/appDelegate");
+const {
+  withReportInfoPlist,
+  withReportBackgroundModes,
+  withBadgeCountSync,
+  withNotificationTapBehavior,
+  withEnvironmentInfoPlist,
+} = require("./plugins/ios/infoPlist");
+const {
+  withSPMGitHubAuth,
+  withSPMNetrcScript,
+  withSPMFrameworks,
+  withSPMVersion,
+} = require("./plugins/ios/spm");
+const { validateECSDKConfig } = require("./plugins/props");
 
 // ============================================================================
 // MAIN PLUGIN FUNCTION
@@ -40,20 +54,26 @@ const {
  * iOS Configuration:
  * - Info.plist privacy permissions (camera, location, photo library, microphone)
  * - Background modes (fetch, remote-notification)
- * - GitHub authentication for SPM packages (.netrc configuration)
+ * - GitHub authentication for SPM packages (~/.netrc entry, only with credentialStrategy "gradleProperties")
+ * - ios/ecsdk-netrc.sh, run from the Podfile on EAS and other CI builds to set up that authentication
  * - SPM frameworks (ELERTSKitCore, ELERTSKitUI) with transitive dependencies
+ * - ELERTSKit-iOS version pin (optional, Podfile.properties.json)
  * - AppDelegate initialization (ELERTSKit.initializeDataUI)
  * - Background fetch handler
+ * - App icon badge sync with the unread message count (optional)
+ * - Selected environment name for getEnvironment() (optional, Info.plist)
  *
  * Android Configuration:
- * - AndroidManifest.xml configuration (ECSDK API key, Google Maps API key, FCM service)
- * - String resources setup (PRODUCT, app_name, short_display_name, LIST_MESSAGE_SERVICE)
+ * - AndroidManifest.xml configuration (ECSDK API key, Google Maps API key, FCM service unless pushProvider is "delegate" or "none")
+ * - String resources setup (PRODUCT, app_name, short_display_name, LIST_MESSAGE_SERVICE, notification channel)
+ * - Notification channel, small icon and accent color for ELERTS alerts
  * - MainApplication.kt ECSDK initialization (ECUISDK)
- * - GitHub credentials (automatic via environment variables or gradle.properties)
+ * - GitHub credentials (environment variables, gradle.properties, local.properties or a command, see credentialStrategy)
  * - GitHub Packages repository configuration (automatic)
- * - ECSDK library dependency injection (automatic)
+ * - ECSDK library dependency injection (automatic, version from sdk-versions.json or androidSdkVersion)
  * - Firebase/FCM setup (Google Services plugin and google-services.json)
  * - Core library desugaring
+ * - Selected environment name for getEnvironment() (optional, strings.xml)
  *
  * Usage in app.json/app.config.js:
  * {
@@ -68,11 +88,29 @@ const {
  *         "appName": "Your App Name",                           // Optional
  *         "shortDisplayName": "Short Name",                     // Optional
  *         "productKey": "YourProductKey",                       // Optional, for iOS
+ *         "syncBadgeCount": true,                               // Optional, iOS app icon badge shows unread count
+ *         "notificationTapBehavior": "threadList",              // Optional, "threadList" | "emitToJs"
+ *         "pushProvider": "ecsdk",                              // Optional, "ecsdk" | "delegate" | "none" (Android)
+ *         "notificationChannelId": "ecsdk_alerts",              // Optional, Android notification channel
+ *         "notificationChannelName": "Alerts",                  // Optional
+ *         "notificationChannelImportance": "high",              // Optional, "min" | "low" | "default" | "high" | "max"
+ *         "notificationIcon": "./assets/notification-icon.png", // Optional, Android small icon (white on transparent)
+ *         "notificationColor": "#D32F2F",                       // Optional, Android accent color
+ *         "androidSdkVersion": "2.2.7",                         // Optional, exact ECSDK-Android version
+ *         "iosSdkVersion": "3.0.1",                             // Optional, exact ELERTSKit-iOS version
  *         // GitHub credentials: Use environment variables GPR_USER and GPR_API_KEY
  *         // Required for both iOS (SPM) and Android (Maven) to access private packages
  *         // Or pass them here (not recommended):
  *         // "githubUsername": "your-github-username",
  *         // "githubToken": "your-github-token"
+ *         "credentialStrategy": "localProperties",              // Optional, "gradleProperties" | "localProperties" | "environment" | "command"
+ *         // "credentialCommand": "./scripts/github-credentials.sh", // Required with "command", prints username=... and password=...
+ *         // Per-environment API key, product key and google-services.json, instead of the top-level ones:
+ *         // "environment": process.env.APP_VARIANT,           // Default: the ECSDK_ENVIRONMENT environment variable
+ *         // "environments": {
+ *         //   "preview": { "ecsdkApiKey": process.env.ECSDK_QA_API_KEY },
+ *         //   "production": { "ecsdkApiKey": process.env.ECSDK_API_KEY, "productKey": "YourProductKey" },
+ *         // },
  *       }
  *     ]
  *   ]
@@ -90,12 +128,16 @@ const {
  * - GPR_USER - GitHub username for accessing private ECSDK packages (required)
  * - GPR_API_KEY - GitHub personal access token (required)
  * - ECSDK_PRODUCT_KEY - Product key for iOS (optional)
+ * - ECSDK_ENVIRONMENT - Which of the plugin's environments the build uses (optional, read by the plugin itself)
  *
  * Validation:
- * Validation only occurs during the prebuild phase, not during config evaluation.
- * This ensures that environment variables from EAS dashboard are available when validation runs.
- * During config evaluation (e.g., 'npx expo config'), validation is skipped to allow the
- * config to load even if environment variables aren't available yet.
+ * The props are checked against the schema in plugins/props.js, and every problem is reported
+ * in one error, including unknown props such as a misspelled 'ecsdkAPIKey'.
+ * Required API keys, GitHub credentials and google-services.json are only checked during the
+ * prebuild phase, when environment variables from the EAS dashboard are available. During config
+ * evaluation (e.g., 'npx expo config') they are skipped to allow the config to load even if
+ * environment variables aren't available yet.
+ * app.config.js can run the same checks with validateECSDKConfig(props), exported from this file.
  *
  * EAS Build Configuration:
  * For EAS builds, configure environment variables in the EAS dashboard or eas.json:
@@ -118,16 +160,17 @@ const {
  *         "GOOGLE_SERVICES_FILE": "./google-services.json",
  *         "GPR_USER": "your-github-username",
  *         "GPR_API_KEY": "your-github-token"
- *       },
- *       "ios": {
- *         "prebuildCommand": "bash -c 'mkdir -p $HOME/.netrc && echo \"machine github.com\\n  login $GPR_USER\\n  password $GPR_API_KEY\\n\" >> $HOME/.netrc && chmod 600 $HOME/.netrc'"
  *       }
  *     }
  *   }
  * }
  *
+ * For iOS: No prebuildCommand is needed. The Podfile runs the generated ios/ecsdk-netrc.sh
+ * during pod install on EAS (and on other CI), which adds GPR_USER and GPR_API_KEY to ~/.netrc.
+ *
  * For Android: The gradle.properties approach works automatically in EAS builds
  * since the credentials are written to the project file during prebuild.
+ * With credentialStrategy "environment", Gradle reads GPR_USER and GPR_API_KEY at build time instead.
  *
  * @param {import('@expo/config-plugins').ExportedConfig} config
  * @param {Object} props - Plugin configuration
@@ -138,170 +181,60 @@ const {
  * @param {string} [props.appName] - App name (optional)
  * @param {string} [props.shortDisplayName] - Short display name (optional)
  * @param {string} [props.productKey] - Product key for iOS (optional, can also use ECSDK_PRODUCT_KEY env var)
+ * @param {boolean} [props.syncBadgeCount] - iOS only: show the unread count on the app icon badge (default: false)
+ * @param {"threadList"|"emitToJs"} [props.notificationTapBehavior] - What happens when an ELERTS notification is tapped (default: "threadList")
+ * @param {"ecsdk"|"delegate"|"none"} [props.pushProvider] - Which FirebaseMessagingService receives FCM messages on Android (default: "ecsdk")
+ * @param {string} [props.notificationChannelId] - ID of the Android notification channel for the module's own notifications ("emitToJs") and FCM's background notifications; ECMessageListService keeps the SDK's channel (default: "ecsdk_alerts")
+ * @param {string} [props.notificationChannelName] - Name of that channel in the app's notification settings (default: "Alerts")
+ * @param {"min"|"low"|"default"|"high"|"max"} [props.notificationChannelImportance] - Importance the channel is created with (default: "high")
+ * @param {string} [props.notificationIcon] - Path to the Android notification small icon, a white-on-transparent PNG (default: the app icon)
+ * @param {string} [props.notificationColor] - Android notification accent color as "#RRGGBB" or "#AARRGGBB"
+ * @param {string} [props.androidSdkVersion] - Exact ECSDK-Android version to use instead of the default in sdk-versions.json
+ * @param {string} [props.iosSdkVersion] - Exact ELERTSKit-iOS version to use instead of the default in sdk-versions.json
  * @param {string} [props.githubUsername] - GitHub username for ECSDK package access (optional, can also use GPR_USER env var)
  * @param {string} [props.githubToken] - GitHub personal access token (optional, can also use GPR_API_KEY env var)
+ * @param {"gradleProperties"|"localProperties"|"environment"|"command"} [props.credentialStrategy] - Where the GitHub credentials are kept for builds (default: "gradleProperties")
+ * @param {string} [props.credentialCommand] - Shell command that prints username=... and password=... lines, for credentialStrategy "command"
+ * @param {Object<string, {ecsdkApiKey?: string, productKey?: string, googleServicesFile?: string}>} [props.environments] - Props for each environment, e.g. development, preview and production
+ * @param {string} [props.environment] - Which of the environments the build uses (default: the ECSDK_ENVIRONMENT env var)
  */
 module.exports = function withECSDK(config, props = {}) {
+  // ============================================================================
+  // VALIDATION - Every problem is reported at once, see plugins/props.js
+  // ============================================================================
+
+  // API keys, GitHub credentials and google-services.json are only required during prebuild,
+  // when environment variables from the EAS dashboard are guaranteed to be available.
+  // During config evaluation (e.g. 'npx expo config') they may not be set yet, so only
+  // unknown props and invalid values are reported then.
   const {
     ecsdkApiKey,
     googleMapsApiKey,
     googleServicesFile,
-    productName = "PROVIDED BY ELERTS",
+    productName,
     appName,
     shortDisplayName,
     productKey,
     githubUsername,
     githubToken,
-  } = props;
-
-  // ============================================================================
-  // VALIDATION - Defer validation until prebuild phase when env vars are available
-  // ============================================================================
-
-  // Detect if we're in prebuild phase (when env vars are actually available)
-  // During prebuild, EXPO_PREBUILD is set or 'prebuild' is in argv
-  // EAS_BUILD_WORKINGDIR is set by EAS during the build process when prebuild runs
-  const isPrebuildPhase =
-    process.env.EXPO_PREBUILD === "1" ||
-    process.argv.includes("prebuild") ||
-    process.env.EAS_BUILD_WORKINGDIR; // EAS sets this during prebuild
-
-  // Only validate during prebuild phase when environment variables are guaranteed to be available
-  // Skip validation during config evaluation (npx expo config) - env vars from EAS dashboard
-  // are only available during the actual prebuild phase, not during config evaluation
-  const shouldValidate = isPrebuildPhase;
-
-  // Validate required ECSDK API Key
-  if (shouldValidate && !ecsdkApiKey) {
-    throw new Error(
-      `ECSDK Config Plugin Error: 'ecsdkApiKey' is required but not provided.
-
-Please configure the plugin in your app.config.js:
-{
-  "plugins": [
-    [
-      "ecsdk-expo",
-      {
-        "ecsdkApiKey": process.env.ECSDK_API_KEY,
-        "googleMapsApiKey": process.env.GOOGLE_MAPS_API_KEY,
-        ...
-      }
-    ]
-  ]
-}
-
-Or set the environment variable: ECSDK_API_KEY
-Get your API key from ELERTS.`
-    );
-  }
-
-  // Validate required Google Maps API Key for Android
-  if (shouldValidate && !googleMapsApiKey) {
-    throw new Error(
-      `ECSDK Config Plugin Error: 'googleMapsApiKey' is required for Android but not provided.
-
-The ECSDK requires Google Maps API key for map functionality.
-
-Please configure in your app.config.js:
-{
-  "plugins": [
-    [
-      "ecsdk-expo",
-      {
-        "ecsdkApiKey": process.env.ECSDK_API_KEY,
-        "googleMapsApiKey": process.env.GOOGLE_MAPS_API_KEY,
-        ...
-      }
-    ]
-  ]
-}
-
-Or set the environment variable: GOOGLE_MAPS_API_KEY
-Get your API key from: https://console.cloud.google.com/`
-    );
-  }
-
-  // Validate GitHub credentials (required for accessing private packages)
-  if (shouldValidate && (!githubUsername || !githubToken)) {
-    throw new Error(
-      `ECSDK Config Plugin Error: GitHub credentials are required to access private ECSDK packages.
-
-The ECSDK libraries are hosted on GitHub Packages and require authentication.
-
-Please provide GitHub credentials in one of these ways:
-
-1. Environment variables (recommended):
-   - Set GPR_USER=your-github-username
-   - Set GPR_API_KEY=your-github-token
-
-2. Plugin configuration (not recommended for security):
-   {
-     "plugins": [
-       [
-         "ecsdk-expo",
-         {
-           "githubUsername": "your-username",
-           "githubToken": "your-token",
-           ...
-         }
-       ]
-     ]
-   }
-
-3. For EAS builds, use EAS Secrets:
-   eas secret:create --scope project --name GPR_USER --value your-username
-   eas secret:create --scope project --name GPR_API_KEY --value your-token
-
-Create a GitHub Personal Access Token with 'read:packages' permission at:
-https://github.com/settings/tokens`
-    );
-  }
-
-  // Validate google-services.json file
-  // Since the plugin registers ECSDKFirebaseMessagingService in AndroidManifest,
-  // google-services.json is required for Firebase/FCM to work properly
-  if (shouldValidate && !googleServicesFile) {
-    throw new Error(
-      `ECSDK Config Plugin Error: 'googleServicesFile' is required.
-
-The ECSDK plugin registers ECSDKFirebaseMessagingService for push notifications,
-which requires Firebase configuration via google-services.json.
-
-Please configure in your app.config.js:
-{
-  "plugins": [
-    [
-      "ecsdk-expo",
-      {
-        "ecsdkApiKey": process.env.ECSDK_API_KEY,
-        "googleMapsApiKey": process.env.GOOGLE_MAPS_API_KEY,
-        "googleServicesFile": "./google-services.json",  // REQUIRED
-        ...
-      }
-    ]
-  ]
-}
-
-Or set the environment variable: GOOGLE_SERVICES_FILE
-
-Download google-services.json from:
-https://console.firebase.google.com/ → Project Settings → Your Android App → Download google-services.json`
-    );
-  }
-
-  // Validate path format (only if googleServicesFile is provided)
-  if (googleServicesFile && typeof googleServicesFile !== "string") {
-    throw new Error(
-      `ECSDK Config Plugin Error: 'googleServicesFile' must be a string path, got: ${typeof googleServicesFile}
-
-Please provide a valid file path, e.g.:
-  "googleServicesFile": "./google-services.json"`
-    );
-  }
-
-  // Validate file exists (if we can determine project root)
-  // Note: During config evaluation, project root might not be available
-  // Full validation happens during the file copy operation
+    credentialStrategy,
+    credentialCommand,
+    syncBadgeCount,
+    notificationTapBehavior,
+    pushProvider,
+    notificationChannelId,
+    notificationChannelName,
+    notificationChannelImportance,
+    notificationIcon,
+    notificationColor,
+    androidSdkVersion,
+    iosSdkVersion,
+    environments,
+    environment,
+  } = validateECSDKConfig(props);
+
+  // Only baked into the app when it selects one of the environments
+  const environmentName = environments ? environment : undefined;
 
   // ============================================================================
   // APPLY CONFIGURATIONS
@@ -310,12 +243,19 @@ Please provide a valid file path, e.g.:
   // iOS Configuration
   config = withReportInfoPlist(config);
   config = withReportBackgroundModes(config);
+  config = withBadgeCountSync(config, { syncBadgeCount });
+  config = withNotificationTapBehavior(config, { notificationTapBehavior });
+  config = withEnvironmentInfoPlist(config, { environment: environmentName });
   // Configure GitHub authentication for SPM packages (required for private packages)
   config = withSPMGitHubAuth(config, {
     githubUsername,
     githubToken,
+    credentialStrategy,
   });
+  // Set up the same authentication on EAS and other CI builds
+  config = withSPMNetrcScript(config, { credentialStrategy });
   config = withSPMFrameworks(config);
+  config = withSPMVersion(config, { iosSdkVersion });
   config = withAppDelegateInitialization(config, {
     apiKey: ecsdkApiKey,
     productKey,
@@ -327,6 +267,11 @@ Please provide a valid file path, e.g.:
   config = withECSDKManifest(config, {
     ecsdkApiKey,
     googleMapsApiKey,
+    notificationTapBehavior,
+    pushProvider,
+    notificationChannelImportance,
+    notificationIcon,
+    notificationColor,
   });
 
   // Apply strings.xml configuration
@@ -334,19 +279,36 @@ Please provide a valid file path, e.g.:
     productName,
     appName,
     shortDisplayName,
+    notificationChannelId,
+    notificationChannelName,
+    environment: environmentName,
   });
 
-  // Apply gradle.properties configuration
+  // Add notification icon and accent color resources
+  config = withECSDKNotificationIcon(config, { notificationIcon });
+  config = withECSDKNotificationColor(config, { notificationColor });
+
+  // Apply gradle.properties and local.properties configuration
   config = withECSDKGradleProperties(config, {
     githubUsername,
     githubToken,
+    androidSdkVersion,
+    credentialStrategy,
+  });
+  config = withECSDKLocalProperties(config, {
+    githubUsername,
+    githubToken,
+    credentialStrategy,
   });
 
   // Add GitHub Packages repository for ECSDK-Android library
-  config = withGitHubPackagesRepository(config);
+  config = withGitHubPackagesRepository(config, {
+    credentialStrategy,
+    credentialCommand,
+  });
 
   // Add ECSDK library dependency to app build.gradle
-  config = withECSDKDependency(config);
+  config = withECSDKDependency(config, { androidSdkVersion });
 
   // Add core library desugaring to app build.gradle
   config = withCoreLibraryDesugaring(config);
@@ -370,3 +332,5 @@ Please provide a valid file path, e.g.:
 
   return config;
 };
+
+module.exports.validateECSDKConfig = validateECSDKConfig;
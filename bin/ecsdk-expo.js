@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/* eslint-env node */
+const path = require("path");
+
+const { getPluginProps, runDoctor, formatDoctorReport } = require("../plugins/doctor");
+
+const USAGE = `Usage: npx ecsdk-expo doctor [--platform android|ios] [--project-root <dir>]
+
+Checks that the ecsdk-expo config plugin's changes are present in the prebuilt android/ and ios/
+projects, and exits with code 1 if any check fails.`;
+
+/**
+ * The ecsdk-expo plugin props from the app config, so checks that depend on them
+ * (e.g. pushProvider) match the app. Falls back to the defaults if the config can't be read.
+ */
+function readPluginProps(projectRoot) {
+	try {
+		const { getConfig } = require("@expo/config");
+		const { exp } = getConfig(projectRoot, { skipSDKVersionRequirement: true });
+		return getPluginProps(exp.plugins);
+	} catch (error) {
+		console.warn(`⚠️  Could not read the app config, checking with the default plugin props: ${error.message}\n`);
+		return {};
+	}
+}
+
+async function main(args) {
+	const [command, ...options] = args;
+	if (command !== "doctor") {
+		console.log(USAGE);
+		return command === undefined || command === "--help" ? 0 : 1;
+	}
+
+	let projectRoot = process.cwd();
+	let platforms = ["android", "ios"];
+	for (let i = 0; i < options.length; i++) {
+		if (options[i] === "--platform" && ["android", "ios"].includes(options[i + 1])) {
+			platforms = [options[++i]];
+		} else if (options[i] === "--project-root" && options[i + 1]) {
+			projectRoot = path.resolve(options[++i]);
+		} else {
+			console.log(USAGE);
+			return 1;
+		}
+	}
+
+	const results = await runDoctor(projectRoot, { props: readPluginProps(projectRoot), platforms });
+	console.log(formatDoctorReport(results));
+	return results.every((check) => check.passed) ? 0 : 1;
+}
+
+main(process.argv.slice(2)).then(
+	(exitCode) => {
+		process.exitCode = exitCode;
+	},
+	(error) => {
+		console.error(error);
+		process.exitCode = 1;
+	},
+);
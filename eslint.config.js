@@ -0,0 +1,15 @@
+const { defineConfig, globalIgnores } = require("eslint/config");
+const baseConfig = require("expo-module-scripts/eslint.config.base");
+const universeNodeConfig = require("eslint-config-universe/flat/node");
+const universeWebConfig = require("eslint-config-universe/flat/web");
+
+module.exports = defineConfig([
+	globalIgnores(["build"]),
+	baseConfig,
+	universeWebConfig,
+	{
+		// The config plugin, the CLI and the build and test configs run in Node
+		files: ["app.plugin.js", "babel.config.js", "plugins/**/*.js", "bin/**/*.js", "src/jest.config.js"],
+		extends: universeNodeConfig,
+	},
+]);
@@ -8,12 +8,12 @@
  * Make sure to configure the plugin in app.config.js with your API key and product key.
  */
 
+import EcsdkExpoModule, { Organization, UserProfile } from "ecsdk-expo";
 import React, { useEffect, useState } from "react";
 import {
   ActivityIndicator,
   Alert,
   Modal,
-  PermissionsAndroid,
   Platform,
   Pressable,
   ScrollView,
@@ -26,7 +26,6 @@ import {
   SafeAreaProvider,
   useSafeAreaInsets,
 } from "react-native-safe-area-context";
-import EcsdkExpoModule, { Organization, UserProfile } from "ecsdk-expo";
 
 const Button = ({
   title,
@@ -278,22 +277,36 @@ function SDKExample() {
   /**
    * Handle presenting Report A Problem view controller
    */
-  function handleReportAProblem() {
-    EcsdkExpoModule.presentReportScreen();
+  async function handleReportAProblem() {
+    try {
+      await EcsdkExpoModule.presentReportScreen();
+      setStatusMessage("Report screen closed");
+    } catch (error: any) {
+      Alert.alert("Error", error.message || "Unknown error");
+    }
   }
 
   /**
    * Handle presenting Organization Management view controller
    */
   async function handlePresentOrganizationViewController() {
-    EcsdkExpoModule.presentOrganizationScreen();
+    try {
+      await EcsdkExpoModule.presentOrganizationScreen();
+      await refreshOrganizationData();
+    } catch (error: any) {
+      Alert.alert("Error", error.message || "Unknown error");
+    }
   }
 
   /**
    * Show the message list
    */
-  function handleShowMessageList() {
-    EcsdkExpoModule.showMessageList();
+  async function handleShowMessageList() {
+    try {
+      await EcsdkExpoModule.showMessageList();
+    } catch (error: any) {
+      Alert.alert("Error", error.message || "Unknown error");
+    }
   }
 
   /**
@@ -306,86 +319,57 @@ function SDKExample() {
   /**
    * Show the profile screen
    */
-  function handleShowProfile() {
-    EcsdkExpoModule.presentProfileScreen();
+  async function handleShowProfile() {
+    try {
+      const { profileSaved } = await EcsdkExpoModule.presentProfileScreen();
+      if (profileSaved) {
+        setStatusMessage("Profile updated");
+      }
+    } catch (error: any) {
+      Alert.alert("Error", error.message || "Unknown error");
+    }
   }
 
   /**
    * Request notification permission
-   * iOS: Permission is requested automatically when calling registerForRemoteNotifications()
-   * Android 13+: Requires POST_NOTIFICATIONS permission
+   * iOS: Shows the permission dialog the first time
+   * Android 13+: Requests POST_NOTIFICATIONS; below 13 notifications are allowed unless turned off in Settings
    */
   async function requestNotificationPermission() {
-    if (Platform.OS === "android" && Platform.Version >= 33) {
-      try {
-        const granted = await PermissionsAndroid.request(
-          PermissionsAndroid.PERMISSIONS.POST_NOTIFICATIONS,
-          {
-            title: "Notification Permission",
-            message:
-              "This app needs notification permission to receive alerts from ECSDK",
-            buttonNeutral: "Ask Me Later",
-            buttonNegative: "Cancel",
-            buttonPositive: "OK",
-          }
-        );
+    const status = await EcsdkExpoModule.requestNotificationPermission();
+    console.log("Notification permission:", status);
 
-        if (granted === PermissionsAndroid.RESULTS.GRANTED) {
-          console.log("Notification permission granted");
-          return true;
-        } else {
-          console.log("Notification permission denied");
-          Alert.alert(
-            "Permission Required",
-            "Notifications are disabled. You won't receive push notifications from ECSDK. You can enable them in Settings."
-          );
-          return false;
-        }
-      } catch (err) {
-        console.warn("Permission request error:", err);
-        return false;
-      }
+    if (status === "granted" || status === "provisional") {
+      return true;
     }
-    // iOS: Permission is requested automatically when registering
-    // Android < 13: No runtime permission needed
-    return true;
+    Alert.alert(
+      "Permission Required",
+      "Notifications are disabled. You won't receive push notifications from ECSDK. You can enable them in Settings."
+    );
+    return false;
   }
 
   /**
    * Register for remote notifications
-   * iOS: Requests APNS token and shows permission dialog if needed
-   * Android: Triggers FCM token refresh (permission should be requested first on Android 13+)
+   * Resolves with the APNS (iOS) or FCM (Android) token, or rejects if registration fails
    */
   async function handleRegisterForRemoteNotifications() {
     setLoading(true);
     setStatusMessage("Registering for remote notifications...");
 
     try {
-      // Request permission first (Android 13+)
-      if (Platform.OS === "android" && Platform.Version >= 33) {
-        const hasPermission = await PermissionsAndroid.check(
-          PermissionsAndroid.PERMISSIONS.POST_NOTIFICATIONS
-        );
-
-        if (!hasPermission) {
-          const granted = await requestNotificationPermission();
-          if (!granted) {
-            setStatusMessage("Permission denied");
-            setLoading(false);
-            return;
-          }
-        }
+      const granted = await requestNotificationPermission();
+      if (!granted) {
+        setStatusMessage("Permission denied");
+        return;
       }
 
-      // Register for remote notifications
-      EcsdkExpoModule.registerForRemoteNotifications();
+      const token = await EcsdkExpoModule.registerForRemoteNotifications();
 
       setStatusMessage("Registered for remote notifications");
       Alert.alert(
         "Success",
-        Platform.OS === "ios"
-          ? "Registered for APNS. Check notification permission in Settings if needed."
-          : "Registered for FCM. Token will be automatically sent to ELERTS server."
+        `Registered for ${Platform.OS === "ios" ? "APNS" : "FCM"}. Token: ${token.substring(0, 20)}...`
       );
     } catch (error: any) {
       setStatusMessage("Failed to register for notifications");
@@ -397,60 +381,56 @@ function SDKExample() {
   }
 
   /**
-   * Get FCM Token
+   * Get the push token (APNS on iOS, FCM on Android)
    * Note: Token can be retrieved without permission, but notifications won't work without it
    */
-  async function handleGetFCMToken() {
+  async function handleGetPushToken() {
     setLoading(true);
-    setStatusMessage("Getting FCM token...");
+    setStatusMessage("Getting push token...");
 
     try {
-      // Check permission status (Android 13+)
-      if (Platform.OS === "android" && Platform.Version >= 33) {
-        const hasPermission = await PermissionsAndroid.check(
-          PermissionsAndroid.PERMISSIONS.POST_NOTIFICATIONS
-        );
+      // Check permission status
+      const status = await EcsdkExpoModule.getNotificationPermissionStatus();
 
-        if (!hasPermission) {
-          Alert.alert(
-            "Permission Warning",
-            "Notification permission not granted. Token will be retrieved but notifications won't work. Grant permission?",
-            [
-              {
-                text: "Request Permission",
-                onPress: async () => {
-                  await requestNotificationPermission();
-                  // Continue with token retrieval
-                  await getFCMTokenInternal();
-                },
-              },
-              {
-                text: "Continue Anyway",
-                onPress: () => getFCMTokenInternal(),
+      if (status !== "granted" && status !== "provisional") {
+        Alert.alert(
+          "Permission Warning",
+          "Notification permission not granted. Token will be retrieved but notifications won't work. Grant permission?",
+          [
+            {
+              text: "Request Permission",
+              onPress: async () => {
+                await requestNotificationPermission();
+                // Continue with token retrieval
+                await getPushTokenInternal();
               },
-            ]
-          );
-          return;
-        }
+            },
+            {
+              text: "Continue Anyway",
+              onPress: () => getPushTokenInternal(),
+            },
+          ]
+        );
+        return;
       }
 
-      await getFCMTokenInternal();
+      await getPushTokenInternal();
     } catch (error: any) {
-      setStatusMessage("Failed to get FCM token");
+      setStatusMessage("Failed to get push token");
       Alert.alert("Error", error.message || "Unknown error");
-      console.error("FCM token error:", error);
+      console.error("Push token error:", error);
       setLoading(false);
     }
   }
 
-  async function getFCMTokenInternal() {
+  async function getPushTokenInternal() {
     try {
-      const fcmToken = await EcsdkExpoModule.getFCMToken();
-      setStatusMessage("FCM token retrieved");
-      Alert.alert("FCM Token", `Token: ${fcmToken.substring(0, 50)}...`, [
+      const { type, token } = await EcsdkExpoModule.getPushToken();
+      setStatusMessage("Push token retrieved");
+      Alert.alert(`${type.toUpperCase()} Token`, `Token: ${token.substring(0, 50)}...`, [
         {
           text: "Copy",
-          onPress: () => console.log("Token:", fcmToken),
+          onPress: () => console.log("Token:", token),
         },
         {
           text: "OK",
@@ -493,6 +473,9 @@ function SDKExample() {
           {initialized && (
             <Text style={styles.successText}>✓ SDK Initialized</Text>
           )}
+          <Text style={styles.infoText}>
+            Environment: {EcsdkExpoModule.getEnvironment() ?? "not set"}
+          </Text>
         </View>
 
         {/* Registration Section */}
@@ -604,17 +587,13 @@ function SDKExample() {
             disabled={loading}
             color="#FF9500"
           />
-          {Platform.OS === "android" && (
-            <>
-              <View style={styles.spacer} />
-              <Button
-                title="🔔 Get FCM Token"
-                onPress={handleGetFCMToken}
-                disabled={loading}
-                color="#FF9500"
-              />
-            </>
-          )}
+          <View style={styles.spacer} />
+          <Button
+            title="🔔 Get Push Token"
+            onPress={handleGetPushToken}
+            disabled={loading}
+            color="#FF9500"
+          />
         </View>
 
         {/* Help Section */}
@@ -638,7 +617,7 @@ function SDKExample() {
       {/* Organization Selection Modal */}
       <Modal
         visible={showOrgSelectionModal}
-        transparent={true}
+        transparent
         animationType="slide"
         onRequestClose={() => setShowOrgSelectionModal(false)}
       >
@@ -1,3 +1,5 @@
+const { validateECSDKConfig } = require("ecsdk-expo/app.plugin");
+
 const APP_VARIANT = process.env.APP_VARIANT || "development";
 
 const getUniqueIdentifier = () => {
@@ -21,82 +23,35 @@ const getAppName = () => {
 };
 
 /**
- * Validate ECSDK plugin configuration
- * This runs during config evaluation, before prebuild
+ * Each variant reports to its own ELERTS organization, so QA builds never reach production
+ *
+ * Production keeps reading ECSDK_API_KEY and ECSDK_PRODUCT_KEY. The development and preview builds
+ * used the same ECSDK_API_KEY before; they now need ECSDK_DEV_API_KEY and ECSDK_QA_API_KEY, e.g. as
+ * EAS secrets. Without them, prebuild fails for those variants instead of using the production key.
+ * @type {import("ecsdk-expo/app.plugin").EcsdkPluginProps}
  */
-const validateECSDKConfig = () => {
-  const errors = [];
-  const warnings = [];
-
-  // Check if ECSDK API key is set
-  if (!process.env.ECSDK_API_KEY) {
-    errors.push("ECSDK_API_KEY environment variable is required");
-  }
-
-  // Check if Google Maps API key is set (required for Android)
-  if (!process.env.GOOGLE_MAPS_API_KEY) {
-    errors.push(
-      "GOOGLE_MAPS_API_KEY environment variable is required for Android"
-    );
-  }
-
-  // Check if GitHub credentials are set (required for private packages)
-  if (!process.env.GPR_USER || !process.env.GPR_API_KEY) {
-    errors.push(
-      "GPR_USER and GPR_API_KEY environment variables are required to access private ECSDK packages"
-    );
-  }
-
-  // Check if Google Services file path is set (required for Firebase/FCM)
-  if (!process.env.GOOGLE_SERVICES_FILE) {
-    errors.push(
-      "GOOGLE_SERVICES_FILE environment variable is required for Firebase/FCM push notifications"
-    );
-  }
-
-  // Check if plugin is in plugins array
-  // We can't check this here since config hasn't been merged yet,
-  // but we'll validate the plugin itself will throw if not configured
-
-  if (errors.length > 0) {
-    const errorMessage = `ECSDK Configuration Error:
-
-Missing required environment variables:
-${errors.map((e) => `  - ${e}`).join("\n")}
-
-Please set the following environment variables:
-  - ECSDK_API_KEY
-  - GOOGLE_MAPS_API_KEY
-  - GPR_USER
-  - GPR_API_KEY
-  - GOOGLE_SERVICES_FILE
-
-And ensure the 'ecsdk-expo' plugin is configured in your app.config.js plugins array.
-
-Example configuration:
-{
-  "plugins": [
-    [
-      "ecsdk-expo",
-      {
-        "ecsdkApiKey": process.env.ECSDK_API_KEY,
-        "googleMapsApiKey": process.env.GOOGLE_MAPS_API_KEY,
-        ...
-      }
-    ]
-  ]
-}`;
-
-    throw new Error(errorMessage);
-  }
-
-  if (warnings.length > 0) {
-    console.warn("ECSDK Configuration Warnings:");
-    warnings.forEach((w) => console.warn(`  ⚠️  ${w}`));
-  }
+const ecsdkProps = {
+  googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY,
+  googleServicesFile: process.env.GOOGLE_SERVICES_FILE,
+  environment: APP_VARIANT,
+  environments: {
+    development: {
+      ecsdkApiKey: process.env.ECSDK_DEV_API_KEY,
+    },
+    preview: {
+      ecsdkApiKey: process.env.ECSDK_QA_API_KEY,
+    },
+    production: {
+      ecsdkApiKey: process.env.ECSDK_API_KEY,
+      productKey: process.env.ECSDK_PRODUCT_KEY,
+    },
+  },
 };
 
 export default ({ config }) => {
+  // Same checks as the plugin, so a bad prop fails before anything else runs
+  validateECSDKConfig(ecsdkProps);
+
   const finalConfig = {
     ...config,
     name: getAppName(),
@@ -110,15 +65,7 @@ export default ({ config }) => {
     },
     plugins: [
       ...(config.plugins || []),
-      [
-        "ecsdk-expo",
-        {
-          ecsdkApiKey: process.env.ECSDK_API_KEY,
-          googleMapsApiKey: process.env.GOOGLE_MAPS_API_KEY,
-          googleServicesFile: process.env.GOOGLE_SERVICES_FILE,
-          productKey: process.env.ECSDK_PRODUCT_KEY,
-        },
-      ],
+      ["ecsdk-expo", ecsdkProps],
     ],
   };
 
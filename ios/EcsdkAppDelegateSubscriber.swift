@@ -0,0 +1,215 @@
+import ExpoModulesCore
+import ELERTSKitCore
+import UserNotifications
+
+// Registered in expo-module.config.json, so it is created at launch before the JavaScript
+// runtime. Starts collecting notification taps early enough to catch the one that launched the app,
+// the APNS token issued at launch, and notifications received in the background.
+public class EcsdkAppDelegateSubscriber: ExpoAppDelegateSubscriber {
+  public func application(
+    _ application: UIApplication,
+    willFinishLaunchingWithOptions launchOptions: [UIApplication.LaunchOptionsKey: Any]? = nil
+  ) -> Bool {
+    NotificationTapQueue.shared.start()
+    PushTokenStore.shared.start()
+    UnreadCountStore.shared.start()
+    return true
+  }
+
+  public func application(
+    _ application: UIApplication,
+    didFinishLaunchingWithOptions launchOptions: [UIApplication.LaunchOptionsKey: Any]? = nil
+  ) -> Bool {
+    // After the app and other libraries have set their notification center delegate
+    NotificationResponseProxy.shared.install()
+    return true
+  }
+}
+
+// Sits in front of the UNUserNotificationCenter delegate (e.g. EKNotificationManager or
+// expo-notifications) and forwards every call to it. While a tap is being handed to that delegate,
+// it exposes the tapped notification's userInfo, because EKNotificationManagerDelegate's
+// openViewForNotification() does not pass it.
+final class NotificationResponseProxy: NSObject, UNUserNotificationCenterDelegate {
+  static let shared = NotificationResponseProxy()
+
+  private weak var wrapped: UNUserNotificationCenterDelegate?
+
+  // userInfo of the tap the wrapped delegate is handling, nil between taps
+  private(set) var tappedUserInfo: [AnyHashable: Any]?
+
+  // Puts the proxy in front of the current delegate. Safe to call again after the delegate changes.
+  func install() {
+    DispatchQueue.main.async {
+      let center = UNUserNotificationCenter.current()
+      guard center.delegate !== self else { return }
+      self.wrapped = center.delegate
+      center.delegate = self
+    }
+  }
+
+  func userNotificationCenter(
+    _ center: UNUserNotificationCenter,
+    didReceive response: UNNotificationResponse,
+    withCompletionHandler completionHandler: @escaping () -> Void
+  ) {
+    tappedUserInfo = response.notification.request.content.userInfo
+    let handled: Void? = wrapped?.userNotificationCenter?(center, didReceive: response, withCompletionHandler: {
+      self.tappedUserInfo = nil
+      completionHandler()
+    })
+    if handled == nil {
+      tappedUserInfo = nil
+      completionHandler()
+    }
+  }
+
+  func userNotificationCenter(
+    _ center: UNUserNotificationCenter,
+    willPresent notification: UNNotification,
+    withCompletionHandler completionHandler: @escaping (UNNotificationPresentationOptions) -> Void
+  ) {
+    let handled: Void? = wrapped?.userNotificationCenter?(center, willPresent: notification, withCompletionHandler: completionHandler)
+    if handled == nil {
+      completionHandler([])
+    }
+  }
+
+  func userNotificationCenter(_ center: UNUserNotificationCenter, openSettingsFor notification: UNNotification?) {
+    wrapped?.userNotificationCenter?(center, openSettingsFor: notification)
+  }
+}
+
+// Saves the APNS token posted by the injected didRegisterForRemoteNotificationsWithDeviceToken,
+// so getPushToken() can return it whenever JavaScript asks
+final class PushTokenStore {
+  static let shared = PushTokenStore()
+
+  private static let defaultsKey = "EcsdkExpoAPNSToken"
+
+  private var observer: NSObjectProtocol?
+
+  // Hex-encoded APNS token, kept across launches
+  var token: String? {
+    return UserDefaults.standard.string(forKey: PushTokenStore.defaultsKey)
+  }
+
+  func start() {
+    guard observer == nil else { return }
+    observer = NotificationCenter.default.addObserver(forName: ecsdkPushTokenChangedName, object: nil, queue: .main) { notification in
+      guard let token = notification.userInfo?["token"] as? String else { return }
+      UserDefaults.standard.set(token, forKey: PushTokenStore.defaultsKey)
+    }
+  }
+
+  // Turns a hex-encoded token back into the Data APNS issued
+  static func deviceToken(from token: String) -> Data? {
+    guard token.count % 2 == 0 else { return nil }
+    var data = Data(capacity: token.count / 2)
+    var index = token.startIndex
+    while index < token.endIndex {
+      let next = token.index(index, offsetBy: 2)
+      guard let byte = UInt8(token[index..<next], radix: 16) else { return nil }
+      data.append(byte)
+      index = next
+    }
+    return data
+  }
+}
+
+// Counts the ELERTS notifications received since the message list was last opened, kept across
+// launches. ELERTSKit has no unread count API, so messages read in the SDK's screens or on another
+// device are not reflected. With the config plugin's syncBadgeCount option, the app icon badge shows it.
+final class UnreadCountStore {
+  static let shared = UnreadCountStore()
+
+  private static let defaultsKey = "EcsdkExpoUnreadCount"
+
+  // Keys that other push services add to the APNS payload: Firebase Cloud Messaging and the
+  // Expo push service. ELERTS sends to the APNS token directly, so its pushes carry neither.
+  private static let otherProviderKeys = ["gcm.message_id", "experienceId", "scopeKey"]
+
+  private var observers: [NSObjectProtocol] = []
+
+  // Set by the config plugin's syncBadgeCount option
+  private var syncsBadgeCount: Bool {
+    return Bundle.main.object(forInfoDictionaryKey: "ECSDK_SYNC_BADGE_COUNT") as? Bool ?? false
+  }
+
+  var count: Int {
+    return UserDefaults.standard.integer(forKey: UnreadCountStore.defaultsKey)
+  }
+
+  func start() {
+    guard observers.isEmpty else { return }
+    let center = NotificationCenter.default
+    observers = [
+      // The injected didReceiveRemoteNotification posts every remote notification, not only ELERTS ones
+      center.addObserver(forName: ecsdkNotificationReceivedName, object: nil, queue: .main) { [weak self] notification in
+        guard let self = self, UnreadCountStore.isElertsPayload(notification.userInfo ?? [:]) else { return }
+        self.setCount(self.count + 1)
+      },
+      // The injected openViewForNotification shows the message list unless the app handles taps
+      center.addObserver(forName: ecsdkNotificationOpenedName, object: nil, queue: .main) { [weak self] _ in
+        let tapBehavior = Bundle.main.object(forInfoDictionaryKey: "ECSDK_NOTIFICATION_TAP_BEHAVIOR") as? String
+        if tapBehavior != "emitToJs" && EKKeychain.getString(.token) != nil {
+          self?.setCount(0)
+        }
+      }
+    ]
+  }
+
+  private static func isElertsPayload(_ userInfo: [AnyHashable: Any]) -> Bool {
+    return !otherProviderKeys.contains { userInfo[$0] != nil }
+  }
+
+  // Saves the count, updates the badge and posts ecsdkUnreadCountChangedName if it changed
+  func setCount(_ count: Int) {
+    DispatchQueue.main.async {
+      if self.syncsBadgeCount {
+        UIApplication.shared.applicationIconBadgeNumber = count
+      }
+      guard self.count != count else { return }
+      UserDefaults.standard.set(count, forKey: UnreadCountStore.defaultsKey)
+      NotificationCenter.default.post(name: ecsdkUnreadCountChangedName, object: nil, userInfo: ["count": count])
+    }
+  }
+}
+
+// Holds the taps posted by the injected openViewForNotification until EcsdkExpoModule has
+// a JavaScript listener for onNotificationOpened, then hands them over as they happen.
+// The payload is the tapped notification's userInfo from NotificationResponseProxy.
+final class NotificationTapQueue {
+  static let shared = NotificationTapQueue()
+
+  private var observer: NSObjectProtocol?
+  private var pending: [[AnyHashable: Any]] = []
+  private var handler: (([AnyHashable: Any]) -> Void)?
+
+  func start() {
+    guard observer == nil else { return }
+    observer = NotificationCenter.default.addObserver(forName: ecsdkNotificationOpenedName, object: nil, queue: .main) { [weak self] _ in
+      self?.enqueue(NotificationResponseProxy.shared.tappedUserInfo ?? [:])
+    }
+  }
+
+  // Delivers the queued taps to the handler, then every later tap as it happens.
+  // Pass nil to queue taps again.
+  func setHandler(_ handler: (([AnyHashable: Any]) -> Void)?) {
+    DispatchQueue.main.async {
+      self.handler = handler
+      guard let handler = handler else { return }
+      let taps = self.pending
+      self.pending = []
+      taps.forEach(handler)
+    }
+  }
+
+  private func enqueue(_ userInfo: [AnyHashable: Any]) {
+    if let handler = handler {
+      handler(userInfo)
+    } else {
+      pending.append(userInfo)
+    }
+  }
+}
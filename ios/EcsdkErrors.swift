@@ -0,0 +1,59 @@
+import ExpoModulesCore
+
+// Stable error codes surfaced to JavaScript. Must stay in sync with `EcsdkErrorCode` in src/EcsdkError.ts
+// and EcsdkErrorCode in android/.../EcsdkErrors.kt.
+enum EcsdkErrorCode: String {
+  case notLoggedIn = "ECSDK_NOT_LOGGED_IN"
+  case noActiveOrganization = "ECSDK_NO_ACTIVE_ORGANIZATION"
+  case organizationNotFound = "ECSDK_ORGANIZATION_NOT_FOUND"
+  case invalidToken = "ECSDK_INVALID_TOKEN"
+  case networkError = "ECSDK_NETWORK_ERROR"
+  case serverError = "ECSDK_SERVER_ERROR"
+  case invalidArgument = "ECSDK_INVALID_ARGUMENT"
+  case unavailable = "ECSDK_UNAVAILABLE"
+  case pushRegistrationFailed = "ECSDK_PUSH_REGISTRATION_FAILED"
+  case unknown = "ECSDK_UNKNOWN"
+}
+
+// Exception carrying one of the stable error codes
+final class EcsdkException: Exception {
+  private let errorCode: EcsdkErrorCode
+  private let message: String
+
+  init(_ errorCode: EcsdkErrorCode, _ message: String, file: String = #fileID, line: UInt = #line, function: String = #function) {
+    self.errorCode = errorCode
+    self.message = message
+    super.init(file: file, line: line, function: function)
+  }
+
+  // Maps an error returned by ELERTSKit to an exception with a stable code
+  convenience init(_ error: Error, _ context: String, file: String = #fileID, line: UInt = #line, function: String = #function) {
+    self.init(errorCodeFor(error), "\(context): \(error.localizedDescription)", file: file, line: line, function: function)
+    self.cause = error
+  }
+
+  override var code: String {
+    errorCode.rawValue
+  }
+
+  override var reason: String {
+    message
+  }
+}
+
+// ELERTSKit surfaces transport failures as URLError/NSURLErrorDomain errors and API failures
+// with a free-text description, so the code is derived from those.
+private func errorCodeFor(_ error: Error) -> EcsdkErrorCode {
+  let nsError = error as NSError
+  if nsError.domain == NSURLErrorDomain {
+    return nsError.code == NSURLErrorUserAuthenticationRequired ? .invalidToken : .networkError
+  }
+  let text = error.localizedDescription.lowercased()
+  if text.contains("unauthorized") || text.contains("401") || (text.contains("token") && text.contains("invalid")) {
+    return .invalidToken
+  }
+  if text.contains("network") || text.contains("offline") || text.contains("timed out") {
+    return .networkError
+  }
+  return .serverError
+}
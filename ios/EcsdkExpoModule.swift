@@ -1,4 +1,5 @@
 import ExpoModulesCore
+import UserNotifications
 import ELERTSKitCore
 import ELERTSKitUI
 
@@ -30,6 +31,45 @@ private func organizationToDict(_ org: EKOrganization) -> [String: Any] {
   ]
 }
 
+// Notification names posted by the AppDelegate code that the config plugin injects
+// (see plugins/ios/appDelegate.js). The module forwards them to JavaScript as events.
+let ecsdkNotificationReceivedName = Notification.Name("EcsdkExpoNotificationReceived")
+let ecsdkNotificationOpenedName = Notification.Name("EcsdkExpoNotificationOpened")
+let ecsdkPushTokenChangedName = Notification.Name("EcsdkExpoPushTokenChanged")
+let ecsdkPushRegistrationFailedName = Notification.Name("EcsdkExpoPushRegistrationFailed")
+// Posted by UnreadCountStore (see EcsdkAppDelegateSubscriber)
+let ecsdkUnreadCountChangedName = Notification.Name("EcsdkExpoUnreadCountChanged")
+
+// Helper function to convert an APNS userInfo dictionary into a bridgeable dictionary
+private func notificationDataToDict(_ userInfo: [AnyHashable: Any]) -> [String: Any] {
+  var result: [String: Any] = [:]
+  for (key, value) in userInfo {
+    if let nested = value as? [AnyHashable: Any] {
+      result["\(key)"] = notificationDataToDict(nested)
+    } else {
+      result["\(key)"] = value
+    }
+  }
+  return result
+}
+
+// Helper function to convert a notification authorization status to the JavaScript
+// NotificationPermissionStatus
+private func notificationPermissionStatus(_ status: UNAuthorizationStatus) -> String {
+  switch status {
+  case .authorized, .ephemeral:
+    return "granted"
+  case .denied:
+    return "denied"
+  case .provisional:
+    return "provisional"
+  case .notDetermined:
+    return "undetermined"
+  @unknown default:
+    return "undetermined"
+  }
+}
+
 // Helper function to create profile field items
 private func createProfileFieldItems() -> [EKUIProfileFieldItem] {
   let firstNameField = EKUIProfileFieldItem(
@@ -69,6 +109,9 @@ private func createProfileVCConfig() -> EKUIProfileConfig {
 
 // Custom profile view controller with custom dismiss buttons
 private class CustomProfileViewController: EKUIProfileViewController {
+  // Whether the user saved their profile before the screen was dismissed
+  private(set) var didSave = false
+
   override func viewDidLoad() {
     super.viewDidLoad()
     
@@ -108,6 +151,7 @@ private class CustomProfileViewController: EKUIProfileViewController {
       // It will also save to keychain and update ELERTS Cloud
       // Dismiss the view controller in the callback
       if saved {
+        self.didSave = true
         DispatchQueue.main.async {
           self.dismiss(animated: true, completion: nil)
         }
@@ -116,7 +160,113 @@ private class CustomProfileViewController: EKUIProfileViewController {
   }
 }
 
+// Hosts a presented SDK screen and reports when it is dismissed, whether through the SDK's
+// own buttons, the swipe-down gesture or a programmatic dismiss.
+private class DismissObservingContainerController: UIViewController {
+  private let content: UIViewController
+  private var onDismiss: (() -> Void)?
+
+  init(content: UIViewController, onDismiss: @escaping () -> Void) {
+    self.content = content
+    self.onDismiss = onDismiss
+    super.init(nibName: nil, bundle: nil)
+    self.modalPresentationStyle = content.modalPresentationStyle
+  }
+
+  required init?(coder: NSCoder) {
+    fatalError("init(coder:) has not been implemented")
+  }
+
+  override func viewDidLoad() {
+    super.viewDidLoad()
+    addChild(content)
+    content.view.frame = view.bounds
+    content.view.autoresizingMask = [.flexibleWidth, .flexibleHeight]
+    view.addSubview(content.view)
+    content.didMove(toParent: self)
+  }
+
+  override func viewDidDisappear(_ animated: Bool) {
+    super.viewDidDisappear(animated)
+    if isBeingDismissed, let onDismiss = onDismiss {
+      self.onDismiss = nil
+      onDismiss()
+    }
+  }
+}
+
+// Helper function to get the topmost presented view controller
+private func getTopViewController() -> UIViewController? {
+  guard let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
+        let rootViewController = windowScene.windows.first?.rootViewController else {
+    return nil
+  }
+
+  var topViewController = rootViewController
+  while let presented = topViewController.presentedViewController {
+    topViewController = presented
+  }
+  return topViewController
+}
+
+// Helper function to present an SDK screen and resolve the promise once it is dismissed
+private func presentScreen(_ viewController: UIViewController, promise: Promise, result: @escaping () -> [String: Any]) {
+  guard let topViewController = getTopViewController() else {
+    promise.reject(EcsdkException(.unavailable, "No view controller available to present from"))
+    return
+  }
+  // UIKit refuses to present during a transition and only logs a warning, so the
+  // container would never be dismissed and the promise would never settle
+  if topViewController.isBeingPresented || topViewController.isBeingDismissed || topViewController.viewIfLoaded?.window == nil {
+    promise.reject(EcsdkException(.unavailable, "Another screen is being presented or dismissed"))
+    return
+  }
+  let container = DismissObservingContainerController(content: viewController) {
+    var payload = result()
+    payload["dismissed"] = true
+    promise.resolve(payload)
+  }
+  topViewController.present(container, animated: true, completion: nil)
+  if container.presentingViewController == nil {
+    promise.reject(EcsdkException(.unavailable, "The screen could not be presented"))
+  }
+}
+
 public class EcsdkExpoModule: Module {
+  private var notificationObservers: [NSObjectProtocol] = []
+
+  // How long to wait for APNS, which may call neither AppDelegate method, e.g. without network access
+  private static let pushRegistrationTimeout: TimeInterval = 30
+
+  // Callbacks waiting for APNS to issue a token, by request, only touched on the main queue
+  private var pendingPushRegistrations: [UUID: (Result<String, Exception>) -> Void] = [:]
+
+  private func settlePushRegistrations(_ result: Result<String, Exception>) {
+    let callbacks = pendingPushRegistrations.values
+    pendingPushRegistrations = [:]
+    callbacks.forEach { $0(result) }
+  }
+
+  // Calls back with the APNS token once the AppDelegate receives it, or with PushRegistrationFailed
+  // after pushRegistrationTimeout. Must be called on the main queue.
+  private func waitForPushToken(register: () -> Void, _ callback: @escaping (Result<String, Exception>) -> Void) {
+    let requestId = UUID()
+    pendingPushRegistrations[requestId] = callback
+    register()
+    DispatchQueue.main.asyncAfter(deadline: .now() + Self.pushRegistrationTimeout) { [weak self] in
+      guard let callback = self?.pendingPushRegistrations.removeValue(forKey: requestId) else {
+        return
+      }
+      let seconds = Int(Self.pushRegistrationTimeout)
+      callback(.failure(EcsdkException(.pushRegistrationFailed, "APNS did not issue a token within \(seconds) seconds")))
+    }
+  }
+
+  private func emitActiveOrganizationChanged(_ org: EKOrganization?) {
+    let organization: Any = org.map { organizationToDict($0) as Any } ?? NSNull()
+    sendEvent("onActiveOrganizationChanged", ["organization": organization])
+  }
+
   // Each module class must implement the definition function. The definition consists of components
   // that describes the module's functionality and behavior.
   // See https://docs.expo.dev/modules/module-api for more details about available components.
@@ -126,6 +276,65 @@ public class EcsdkExpoModule: Module {
     // The module will be accessible from `requireNativeModule('EcsdkExpo')` in JavaScript.
     Name("EcsdkExpo")
 
+    Events(
+      "onNotificationReceived",
+      "onNotificationOpened",
+      "onPushTokenChanged",
+      "onSessionChanged",
+      "onActiveOrganizationChanged",
+      "onUnreadCountChanged"
+    )
+
+    OnCreate {
+      let center = NotificationCenter.default
+      self.notificationObservers = [
+        center.addObserver(forName: ecsdkNotificationReceivedName, object: nil, queue: .main) { [weak self] notification in
+          self?.sendEvent("onNotificationReceived", [
+            "data": notificationDataToDict(notification.userInfo ?? [:])
+          ])
+        },
+        center.addObserver(forName: ecsdkPushTokenChangedName, object: nil, queue: .main) { [weak self] notification in
+          guard let token = notification.userInfo?["token"] as? String else { return }
+          self?.sendEvent("onPushTokenChanged", [
+            "type": "apns",
+            "token": token
+          ])
+          self?.settlePushRegistrations(.success(token))
+        },
+        center.addObserver(forName: ecsdkPushRegistrationFailedName, object: nil, queue: .main) { [weak self] notification in
+          let message = (notification.userInfo?["error"] as? Error)?.localizedDescription ?? "Unknown error"
+          self?.settlePushRegistrations(.failure(
+            EcsdkException(.pushRegistrationFailed, "Failed to register for remote notifications: \(message)")
+          ))
+        },
+        center.addObserver(forName: ecsdkUnreadCountChangedName, object: nil, queue: .main) { [weak self] notification in
+          guard let count = notification.userInfo?["count"] as? Int else { return }
+          self?.sendEvent("onUnreadCountChanged", ["count": count])
+        }
+      ]
+    }
+
+    // Notification taps are queued (see EcsdkAppDelegateSubscriber) until JavaScript subscribes,
+    // so the tap that launched the app is not lost
+    OnStartObserving("onNotificationOpened") {
+      NotificationTapQueue.shared.start()
+      NotificationTapQueue.shared.setHandler { [weak self] userInfo in
+        self?.sendEvent("onNotificationOpened", [
+          "data": notificationDataToDict(userInfo)
+        ])
+      }
+    }
+
+    OnStopObserving("onNotificationOpened") {
+      NotificationTapQueue.shared.setHandler(nil)
+    }
+
+    OnDestroy {
+      self.notificationObservers.forEach { NotificationCenter.default.removeObserver($0) }
+      self.notificationObservers = []
+      NotificationTapQueue.shared.setHandler(nil)
+    }
+
     // Defines constant property on the module.
     Constant("PI") {
       Double.pi
@@ -136,6 +345,11 @@ public class EcsdkExpoModule: Module {
       return ELERTSKit.getClientToken()
     }
 
+    // Environment the build uses, set by the config plugin's environments option
+    Function("getEnvironment") {
+      return Bundle.main.object(forInfoDictionaryKey: "ECSDK_ENVIRONMENT") as? String
+    }
+
     // Create a new client account
     AsyncFunction("createClient") { (profileDict: [String: Any], promise: Promise) -> Void in
       let firstName = profileDict["firstName"] as? String ?? ""
@@ -156,9 +370,13 @@ public class EcsdkExpoModule: Module {
       ELERTSKit.createClient(profile: profile) { result in
         switch result {
         case .success(let clientToken):
+          self.sendEvent("onSessionChanged", [
+            "loggedIn": true,
+            "clientToken": ELERTSKit.getClientToken().map { $0 as Any } ?? NSNull()
+          ])
           promise.resolve(clientToken)
         case .failure(let error):
-          promise.reject("CREATE_CLIENT_ERROR", "Error creating account: \(error.localizedDescription)")
+          promise.reject(EcsdkException(error, "Error creating account"))
         }
       }
     }
@@ -166,7 +384,7 @@ public class EcsdkExpoModule: Module {
     // Join organization
     AsyncFunction("joinOrganization") { (organizationId: Int, promise: Promise) -> Void in
       guard EKKeychain.getString(.token) != nil else {
-        promise.reject("JOIN_ORG_ERROR", "No client token available. Please login first.")
+        promise.reject(EcsdkException(.notLoggedIn, "No client token available. Please login first."))
         return
       }
       
@@ -176,7 +394,7 @@ public class EcsdkExpoModule: Module {
         case .success:
           promise.resolve(["success": true])
         case .failure(let error):
-          promise.reject("JOIN_ORG_ERROR", "Error joining org: \(error.localizedDescription)")
+          promise.reject(EcsdkException(error, "Error joining org"))
         }
       }
     }
@@ -184,7 +402,7 @@ public class EcsdkExpoModule: Module {
     // List organizations (joined or available)
     AsyncFunction("listOrganizations") { (joined: Bool, promise: Promise) -> Void in
       guard EKKeychain.getString(.token) != nil else {
-        promise.reject("LIST_ORG_ERROR", "No client token available. Please login first.")
+        promise.reject(EcsdkException(.notLoggedIn, "No client token available. Please login first."))
         return
       }
       
@@ -207,15 +425,20 @@ public class EcsdkExpoModule: Module {
           }
           promise.resolve(orgs)
         case .failure(let error):
-          promise.reject("LIST_ORG_ERROR", "Error listing organizations: \(error.localizedDescription)")
+          promise.reject(EcsdkException(error, "Error listing organizations"))
         @unknown default:
-          promise.reject("LIST_ORG_ERROR", "Unknown error listing organizations")
+          promise.reject(EcsdkException(.unknown, "Unknown error listing organizations"))
         }
       }
     }
 
     // Set active organization
     AsyncFunction("setActiveOrganization") { (organizationId: Int, promise: Promise) -> Void in
+      guard EKKeychain.getString(.token) != nil else {
+        promise.reject(EcsdkException(.notLoggedIn, "No client token available. Please login first."))
+        return
+      }
+
       // Try to find the organization in the SDK's organizations list first
       // This ensures we use the full organization object with all its data
       var organizationToSet: EKOrganization? = nil
@@ -231,6 +454,7 @@ public class EcsdkExpoModule: Module {
       }
       
       ELERTSKit.activeOrganization.fire(organizationToSet!)
+      self.emitActiveOrganizationChanged(organizationToSet)
       promise.resolve(["success": true])
     }
 
@@ -262,6 +486,11 @@ public class EcsdkExpoModule: Module {
 
     // Update client info
     AsyncFunction("updateClientInfo") { (profileDict: [String: Any], promise: Promise) -> Void in
+      guard EKKeychain.getString(.token) != nil else {
+        promise.reject(EcsdkException(.notLoggedIn, "No client token available. Please login first."))
+        return
+      }
+
       let firstName = profileDict["firstName"] as? String ?? ""
       let lastName = profileDict["lastName"] as? String ?? ""
       let email = profileDict["email"] as? String ?? ""
@@ -282,48 +511,43 @@ public class EcsdkExpoModule: Module {
         case .success:
           promise.resolve(true)
         case .failure(let error):
-          promise.reject("UPDATE_CLIENT_ERROR", "Error updating account: \(error.localizedDescription)")
+          promise.reject(EcsdkException(error, "Error updating account"))
         }
       }
     }
 
     // Login with client token
     Function("login") { (clientToken: String) -> Void in
+      guard !clientToken.trimmingCharacters(in: .whitespacesAndNewlines).isEmpty else {
+        throw EcsdkException(.invalidToken, "Client token must not be empty")
+      }
       ELERTSKitUI.login(elertsClientToken: clientToken)
+      self.sendEvent("onSessionChanged", [
+        "loggedIn": true,
+        "clientToken": clientToken
+      ])
     }
 
     // Logout
     Function("logout") {
       ELERTSKitUI.logout()
+      self.sendEvent("onSessionChanged", [
+        "loggedIn": false,
+        "clientToken": NSNull()
+      ])
+      self.emitActiveOrganizationChanged(nil)
+      UnreadCountStore.shared.setCount(0)
     }
 
     // Present report screen
-    Function("presentReportScreen") {
+    AsyncFunction("presentReportScreen") { (promise: Promise) in
+      // Check if active organization is set
+      guard let activeOrg = ELERTSKit.activeOrganization.lastDataFired as? EKOrganization else {
+        promise.reject(EcsdkException(.noActiveOrganization, "Please select and join an organization before reporting a problem."))
+        return
+      }
+
       DispatchQueue.main.async {
-        // Get the root view controller
-        guard let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
-              let rootViewController = windowScene.windows.first?.rootViewController else {
-          return
-        }
-        
-        // Get the topmost view controller
-        var topViewController = rootViewController
-        while let presented = topViewController.presentedViewController {
-          topViewController = presented
-        }
-        
-        // Check if active organization is set
-        guard let activeOrg = ELERTSKit.activeOrganization.lastDataFired as? EKOrganization else {
-          let alert = UIAlertController(
-            title: "No Active Organization",
-            message: "Please select and join an organization before reporting a problem.",
-            preferredStyle: .alert
-          )
-          alert.addAction(UIAlertAction(title: "OK", style: .default))
-          topViewController.present(alert, animated: true)
-          return
-        }
-        
         // Try to find the full organization object from the SDK's list
         var fullOrg: EKOrganization? = nil
         if let organizations = ELERTSKit.organizations.lastDataFired {
@@ -338,38 +562,26 @@ public class EcsdkExpoModule: Module {
         ELERTSKit.activeOrganization.fire(orgToUse)
         
         // Create and present the report view controller
+        // EKUIReportViewController does not report whether a report was sent,
+        // so the outcome is unknown on iOS
         let reportVC = EKUIReportViewController.initInNavigationController(reportConfig: EKUIReportConfig.defaultConfig())
-        topViewController.present(reportVC, animated: true, completion: nil)
+        presentScreen(reportVC, promise: promise) {
+          ["reportSubmitted": NSNull()]
+        }
       }
     }
 
     // Present organization screen
-    Function("presentOrganizationScreen") {
+    AsyncFunction("presentOrganizationScreen") { (promise: Promise) in
+      // Check if client token is available
+      guard EKKeychain.getString(.token) != nil else {
+        promise.reject(EcsdkException(.notLoggedIn, "Please login first before managing organizations."))
+        return
+      }
+
       DispatchQueue.main.async {
-        // Get the root view controller
-        guard let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
-              let rootViewController = windowScene.windows.first?.rootViewController else {
-          return
-        }
-        
-        // Get the topmost view controller
-        var topViewController = rootViewController
-        while let presented = topViewController.presentedViewController {
-          topViewController = presented
-        }
-        
-        // Check if client token is available
-        guard EKKeychain.getString(.token) != nil else {
-          let alert = UIAlertController(
-            title: "Not Logged In",
-            message: "Please login first before managing organizations.",
-            preferredStyle: .alert
-          )
-          alert.addAction(UIAlertAction(title: "OK", style: .default))
-          topViewController.present(alert, animated: true)
-          return
-        }
-        
+        let previousOrg = ELERTSKit.activeOrganization.lastDataFired as? EKOrganization
+
         // Create and present the organization view controller
         let organizationVC = EKUIOrganizationViewController(
           config: EKUIOrgFeedConfig(
@@ -380,37 +592,26 @@ public class EcsdkExpoModule: Module {
           )
         )
         let navController = UINavigationController(rootViewController: organizationVC)
-        topViewController.present(navController, animated: true, completion: nil)
+        presentScreen(navController, promise: promise) { [weak self] in
+          // The user may have joined or switched organizations on this screen
+          let currentOrg = ELERTSKit.activeOrganization.lastDataFired as? EKOrganization
+          if currentOrg.map({ getOrganizationId(from: $0) }) != previousOrg.map({ getOrganizationId(from: $0) }) {
+            self?.emitActiveOrganizationChanged(currentOrg)
+          }
+          return [:]
+        }
       }
     }
 
     // Present profile screen
-    Function("presentProfileScreen") {
+    AsyncFunction("presentProfileScreen") { (promise: Promise) in
+      // Check if client token is available
+      guard EKKeychain.getString(.token) != nil else {
+        promise.reject(EcsdkException(.notLoggedIn, "Please login first before updating your profile."))
+        return
+      }
+
       DispatchQueue.main.async {
-        // Get the root view controller
-        guard let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
-              let rootViewController = windowScene.windows.first?.rootViewController else {
-          return
-        }
-        
-        // Get the topmost view controller
-        var topViewController = rootViewController
-        while let presented = topViewController.presentedViewController {
-          topViewController = presented
-        }
-        
-        // Check if client token is available
-        guard EKKeychain.getString(.token) != nil else {
-          let alert = UIAlertController(
-            title: "Not Logged In",
-            message: "Please login first before updating your profile.",
-            preferredStyle: .alert
-          )
-          alert.addAction(UIAlertAction(title: "OK", style: .default))
-          topViewController.present(alert, animated: true)
-          return
-        }
-        
         // Create profile config
         let userProfileConfig = createProfileVCConfig()
         
@@ -421,7 +622,9 @@ public class EcsdkExpoModule: Module {
         let navController = UINavigationController(rootViewController: userProfileVC)
         
         // Present the profile view controller
-        topViewController.present(navController, animated: true, completion: nil)
+        presentScreen(navController, promise: promise) {
+          ["profileSaved": userProfileVC.didSave]
+        }
       }
     }
 
@@ -444,45 +647,122 @@ public class EcsdkExpoModule: Module {
     }
 
     // Show message list
-    Function("showMessageList") {
+    AsyncFunction("showMessageList") { (promise: Promise) in
+      // Check if client token is available
+      guard EKKeychain.getString(.token) != nil else {
+        promise.reject(EcsdkException(.notLoggedIn, "Please login first before viewing messages."))
+        return
+      }
+
       DispatchQueue.main.async {
-        // Get the root view controller
-        guard let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
-              let rootViewController = windowScene.windows.first?.rootViewController else {
-          return
-        }
-        
-        // Get the topmost view controller
-        var topViewController = rootViewController
-        while let presented = topViewController.presentedViewController {
-          topViewController = presented
-        }
-        
-        // Check if client token is available
-        guard EKKeychain.getString(.token) != nil else {
-          let alert = UIAlertController(
-            title: "Not Logged In",
-            message: "Please login first before viewing messages.",
-            preferredStyle: .alert
-          )
-          alert.addAction(UIAlertAction(title: "OK", style: .default))
-          topViewController.present(alert, animated: true)
-          return
-        }
-        
         // Create and present the message list view controller
         // EKUIThreadListViewController displays the list of messages
         // When a user taps on a message, the SDK will automatically handle navigation
         // to EKUIThreadMessageViewController for message detail
         let messageListVC = EKUIThreadListViewController()
         let navController = UINavigationController(rootViewController: messageListVC)
-        topViewController.present(navController, animated: true, completion: nil)
+        presentScreen(navController, promise: promise) {
+          [:]
+        }
+        UnreadCountStore.shared.setCount(0)
+      }
+    }
+
+    // Get the number of ELERTS notifications received since the message list was last opened
+    AsyncFunction("getUnreadCount") { (promise: Promise) -> Void in
+      guard EKKeychain.getString(.token) != nil else {
+        promise.reject(EcsdkException(.notLoggedIn, "No client token available. Please login first."))
+        return
+      }
+      promise.resolve(UnreadCountStore.shared.count)
+    }
+
+    // Notification permission
+    AsyncFunction("getNotificationPermissionStatus") { (promise: Promise) -> Void in
+      UNUserNotificationCenter.current().getNotificationSettings { settings in
+        promise.resolve(notificationPermissionStatus(settings.authorizationStatus))
+      }
+    }
+
+    AsyncFunction("requestNotificationPermission") { (options: [String: Any]?, promise: Promise) -> Void in
+      var authorizationOptions: UNAuthorizationOptions = [.alert, .badge, .sound]
+      if options?["provisional"] as? Bool == true {
+        authorizationOptions.insert(.provisional)
+      }
+
+      let center = UNUserNotificationCenter.current()
+      center.requestAuthorization(options: authorizationOptions) { _, error in
+        if let error = error {
+          promise.reject(EcsdkException(.unknown, "Failed to request notification permission: \(error.localizedDescription)"))
+          return
+        }
+        center.getNotificationSettings { settings in
+          promise.resolve(notificationPermissionStatus(settings.authorizationStatus))
+        }
       }
     }
 
     // Register for remote notifications
-    Function("registerForRemoteNotifications") {
-      EKNotificationManager.registerForRemoteNotification()
+    // Settled by the injected didRegisterForRemoteNotificationsWithDeviceToken and
+    // didFailToRegisterForRemoteNotificationsWithError AppDelegate methods
+    AsyncFunction("registerForRemoteNotifications") { (promise: Promise) -> Void in
+      self.waitForPushToken(register: {
+        EKNotificationManager.registerForRemoteNotification()
+        // Registering may make ELERTSKit the notification center delegate; keep reading taps from it
+        NotificationResponseProxy.shared.install()
+      }) { result in
+        switch result {
+        case .success(let token):
+          promise.resolve(token)
+        case .failure(let error):
+          promise.reject(error)
+        }
+      }
+    }.runOnQueue(.main)
+
+    // Resolves the last APNS token (saved by PushTokenStore since launch), or registers with APNS
+    // to get one. Registering does not ask for notification permission.
+    AsyncFunction("getPushToken") { (promise: Promise) -> Void in
+      if let token = PushTokenStore.shared.token {
+        promise.resolve(["type": "apns", "token": token])
+        return
+      }
+      self.waitForPushToken(register: { UIApplication.shared.registerForRemoteNotifications() }) { result in
+        switch result {
+        case .success(let token):
+          promise.resolve(["type": "apns", "token": token])
+        case .failure(let error):
+          promise.reject(error)
+        }
+      }
+    }.runOnQueue(.main)
+
+    // Sends the APNS token to ELERTS again through EKNotificationManager, the same way
+    // the injected didRegisterForRemoteNotificationsWithDeviceToken does
+    AsyncFunction("syncPushTokenWithServer") { (promise: Promise) -> Void in
+      guard EKKeychain.getString(.token) != nil else {
+        promise.reject(EcsdkException(.notLoggedIn, "No client token available. Please login first."))
+        return
+      }
+      guard let token = PushTokenStore.shared.token, let deviceToken = PushTokenStore.deviceToken(from: token) else {
+        promise.reject(EcsdkException(.pushRegistrationFailed, "No APNS token available. Call registerForRemoteNotifications() first."))
+        return
+      }
+      EKNotificationManager.default.application(UIApplication.shared, didRegisterForRemoteNotificationsWithDeviceToken: deviceToken)
+      promise.resolve(["type": "apns", "token": token])
+    }.runOnQueue(.main)
+
+    // Notification channels are Android-only
+    AsyncFunction("configureNotificationChannel") { (_: [String: Any]?) -> [String: Any?] in
+      return ["channelId": nil]
+    }
+
+    // Forwarding FCM messages and tokens (pushProvider "delegate") is Android-only.
+    // ELERTSKit receives APNS notifications through the AppDelegate, so there is nothing to handle.
+    AsyncFunction("handleRemoteMessage") { (_: [String: String]) in
+    }
+
+    AsyncFunction("handlePushToken") { (_: String) in
     }
   }
 }
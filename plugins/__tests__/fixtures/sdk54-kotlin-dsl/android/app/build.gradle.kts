@@ -0,0 +1,107 @@
+plugins {
+    id("com.android.application")
+    id("org.jetbrains.kotlin.android")
+    id("com.facebook.react")
+}
+
+val projectRoot: String = rootDir.absoluteFile.parentFile.absolutePath
+
+fun nodeResolve(request: String): String =
+    providers.exec {
+        workingDir(rootDir)
+        commandLine("node", "--print", request)
+    }.standardOutput.asText.get().trim()
+
+/**
+ * This is the configuration block to customize your React Native Android app.
+ * By default you don't need to apply any configuration, just uncomment the lines you need.
+ */
+react {
+    entryFile = file(
+        providers.exec {
+            workingDir(rootDir)
+            commandLine("node", "-e", "require('expo/scripts/resolveAppEntry')", projectRoot, "android", "absolute")
+        }.standardOutput.asText.get().trim()
+    )
+    reactNativeDir = File(nodeResolve("require.resolve('react-native/package.json')")).parentFile.absoluteFile
+    hermesCommand = File(nodeResolve("require.resolve('react-native/package.json')")).parentFile.absolutePath + "/sdks/hermesc/%OS-BIN%/hermesc"
+    codegenDir = File(nodeResolve("require.resolve('@react-native/codegen/package.json', { paths: [require.resolve('react-native/package.json')] })")).parentFile.absoluteFile
+
+    enableBundleCompression = (findProperty("android.enableBundleCompression") ?: "false").toString().toBoolean()
+    // Use Expo CLI to bundle the app, this ensures the Metro config
+    // works correctly with Expo projects.
+    cliFile = File(nodeResolve("require.resolve('@expo/cli', { paths: [require.resolve('expo/package.json')] })"))
+    bundleCommand = "export:embed"
+
+    /* Autolinking */
+    autolinkLibrariesWithApp()
+}
+
+/**
+ * Set this to true in release builds to optimize the app using [R8](https://developer.android.com/topic/performance/app-optimization/enable-app-optimization).
+ */
+val enableMinifyInReleaseBuilds = (findProperty("android.enableMinifyInReleaseBuilds") ?: "false").toString().toBoolean()
+
+/**
+ * The preferred build flavor of JavaScriptCore (JSC)
+ */
+val jscFlavor = "io.github.react-native-community:jsc-android:2026004.+"
+
+android {
+    ndkVersion = rootProject.extra["ndkVersion"] as String
+
+    buildToolsVersion = rootProject.extra["buildToolsVersion"] as String
+    compileSdk = rootProject.extra["compileSdkVersion"] as Int
+
+    namespace = "com.helloworld"
+    defaultConfig {
+        applicationId = "com.helloworld"
+        minSdk = rootProject.extra["minSdkVersion"] as Int
+        targetSdk = rootProject.extra["targetSdkVersion"] as Int
+        versionCode = 1
+        versionName = "1.0"
+
+        buildConfigField("String", "REACT_NATIVE_RELEASE_LEVEL", "\"${findProperty("reactNativeReleaseLevel") ?: "stable"}\"")
+    }
+    signingConfigs {
+        getByName("debug") {
+            storeFile = file("debug.keystore")
+            storePassword = "android"
+            keyAlias = "androiddebugkey"
+            keyPassword = "android"
+        }
+    }
+    buildTypes {
+        getByName("debug") {
+            signingConfig = signingConfigs.getByName("debug")
+        }
+        getByName("release") {
+            // Caution! In production, you need to generate your own keystore file.
+            // see https://reactnative.dev/docs/signed-apk-android.
+            signingConfig = signingConfigs.getByName("debug")
+            isShrinkResources = (findProperty("android.enableShrinkResourcesInReleaseBuilds") ?: "false").toString().toBoolean()
+            isMinifyEnabled = enableMinifyInReleaseBuilds
+            proguardFiles(getDefaultProguardFile("proguard-android.txt"), "proguard-rules.pro")
+            isCrunchPngs = (findProperty("android.enablePngCrunchInReleaseBuilds") ?: "true").toString().toBoolean()
+        }
+    }
+    packaging {
+        jniLibs {
+            useLegacyPackaging = (findProperty("expo.useLegacyPackaging") ?: "false").toString().toBoolean()
+        }
+    }
+    androidResources {
+        ignoreAssetsPattern = "!.svn:!.git:!.ds_store:!*.scc:!CVS:!thumbs.db:!picasa.ini:!*~"
+    }
+}
+
+dependencies {
+    // The version of react-native is set by the React Native Gradle Plugin
+    implementation("com.facebook.react:react-android")
+
+    if ((findProperty("hermesEnabled") ?: "true").toString().toBoolean()) {
+        implementation("com.facebook.react:hermes-android")
+    } else {
+        implementation(jscFlavor)
+    }
+}
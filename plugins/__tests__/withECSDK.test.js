@@ -0,0 +1,586 @@
+/* eslint-env node */
+const { compileModsAsync } = require("@expo/config-plugins");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const withECSDK = require("../../app.plugin");
+const { validateECSDKConfig } = require("../../app.plugin");
+const sdkVersions = require("../../sdk-versions.json");
+const {
+	FIREBASE_MESSAGING_SERVICE_CLASS,
+	assertAndroidClassExists,
+} = require("../android/manifest");
+const { runDoctor, formatDoctorReport } = require("../doctor");
+
+/**
+ * Native projects from `expo prebuild` templates, one directory per case under fixtures/.
+ * Each holds only the files the plugin reads or writes.
+ */
+const FIXTURES = [
+	{ fixture: "sdk53", description: "SDK 53 template (Groovy)" },
+	{ fixture: "sdk54", description: "SDK 54 template (Groovy)" },
+	{
+		fixture: "sdk54-kotlin-dsl",
+		description: "SDK 54 with Kotlin DSL and an AppDelegate that implements willFinishLaunchingWithOptions",
+	},
+	{
+		fixture: "sdk54-dependency-resolution-management",
+		description: "SDK 54 with repositories in settings.gradle and plugins blocks (Groovy)",
+	},
+];
+
+const PROPS = {
+	ecsdkApiKey: "test-ecsdk-api-key",
+	googleMapsApiKey: "test-google-maps-api-key",
+	googleServicesFile: "./google-services.json",
+	appName: "ECSDK Fixture",
+	shortDisplayName: "Fixture",
+	productKey: "ECSDKFixture",
+	githubUsername: "ecsdk-bot",
+	githubToken: "test-github-token",
+};
+
+const GOOGLE_SERVICES_JSON = JSON.stringify({ project_info: { project_id: "ecsdk-fixture" } });
+
+let homeDir;
+let tempDirs = [];
+
+const makeTempDir = (prefix) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+	tempDirs.push(dir);
+	return dir;
+};
+
+/**
+ * Copy a fixture to a temporary project root, as if it had just been prebuilt
+ */
+function createProject(fixture) {
+	const projectRoot = makeTempDir(`ecsdk-${fixture}-`);
+	fs.cpSync(path.join(__dirname, "fixtures", fixture), projectRoot, { recursive: true });
+	fs.writeFileSync(path.join(projectRoot, "google-services.json"), GOOGLE_SERVICES_JSON);
+	return projectRoot;
+}
+
+/**
+ * Apply the plugin and run its mods against the native files, like `expo prebuild` without --clean
+ */
+async function prebuild(projectRoot, props = PROPS) {
+	const config = withECSDK(
+		{
+			name: "ECSDK Fixture",
+			slug: "ecsdk-fixture",
+			ios: { bundleIdentifier: "com.helloworld" },
+			android: { package: "com.helloworld" },
+		},
+		props,
+	);
+	await compileModsAsync(config, {
+		projectRoot,
+		platforms: ["ios", "android"],
+		introspect: false,
+	});
+}
+
+/**
+ * Read every native file in the project, plus the ~/.netrc written for SPM
+ * @returns Map of project-relative path to contents, sorted by path
+ */
+function readProject(projectRoot) {
+	const files = {};
+	const walk = (dir) => {
+		for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+			const fullPath = path.join(dir, entry.name);
+			if (entry.isDirectory()) {
+				walk(fullPath);
+			} else {
+				files[path.relative(projectRoot, fullPath).split(path.sep).join("/")] =
+					fs.readFileSync(fullPath, "utf8");
+			}
+		}
+	};
+	walk(path.join(projectRoot, "android"));
+	walk(path.join(projectRoot, "ios"));
+
+	const netrcPath = path.join(homeDir, ".netrc");
+	if (fs.existsSync(netrcPath)) {
+		files["~/.netrc"] = fs.readFileSync(netrcPath, "utf8");
+	}
+
+	return Object.fromEntries(Object.entries(files).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+beforeEach(() => {
+	// withSPMGitHubAuth writes the GitHub credentials to ~/.netrc
+	homeDir = makeTempDir("ecsdk-home-");
+	jest.spyOn(os, "homedir").mockReturnValue(homeDir);
+	// Messages about steps that could not be applied show up in the snapshots instead
+	jest.spyOn(console, "warn").mockImplementation(() => {});
+	jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+	jest.restoreAllMocks();
+	for (const dir of tempDirs) {
+		fs.rmSync(dir, { recursive: true, force: true });
+	}
+	tempDirs = [];
+});
+
+describe.each(FIXTURES)("$description", ({ fixture }) => {
+	it("matches the snapshot", async () => {
+		const projectRoot = createProject(fixture);
+		await prebuild(projectRoot);
+
+		for (const [file, contents] of Object.entries(readProject(projectRoot))) {
+			expect(contents).toMatchSnapshot(file);
+		}
+	});
+
+	it("produces identical files when run twice", async () => {
+		const projectRoot = createProject(fixture);
+		await prebuild(projectRoot);
+		const firstRun = readProject(projectRoot);
+		await prebuild(projectRoot);
+
+		expect(readProject(projectRoot)).toEqual(firstRun);
+	});
+});
+
+describe("SDK version props", () => {
+	const VERSION_PROPS = { ...PROPS, androidSdkVersion: "2.2.7", iosSdkVersion: "3.0.1" };
+
+	it("pins the versions and reverts to sdk-versions.json when they are removed", async () => {
+		const projectRoot = createProject("sdk54");
+		await prebuild(projectRoot, VERSION_PROPS);
+
+		let files = readProject(projectRoot);
+		expect(files["android/gradle.properties"]).toContain("ecsdk.androidSdkVersion=2.2.7");
+		expect(files["android/app/build.gradle"]).toContain(
+			"implementation 'com.elerts.libraries:elertsui:2.2.7'",
+		);
+		expect(JSON.parse(files["ios/Podfile.properties.json"])).toMatchObject({
+			"ecsdk.iosSdkVersion": "3.0.1",
+		});
+
+		await prebuild(projectRoot);
+
+		files = readProject(projectRoot);
+		expect(files["android/gradle.properties"]).not.toContain("ecsdk.androidSdkVersion");
+		expect(files["android/app/build.gradle"]).toContain(
+			`implementation 'com.elerts.libraries:elertsui:${sdkVersions.androidSdkVersion}'`,
+		);
+		expect(files["android/app/build.gradle"].match(/elertsui/g)).toHaveLength(1);
+		expect(JSON.parse(files["ios/Podfile.properties.json"])).not.toHaveProperty(
+			"ecsdk.iosSdkVersion",
+		);
+	});
+
+	it("rejects a version that is not a version string", () => {
+		const config = { name: "ECSDK Fixture", slug: "ecsdk-fixture" };
+		expect(() => withECSDK(config, { ...PROPS, iosSdkVersion: 3 })).toThrow(
+			"'iosSdkVersion' must be a version string",
+		);
+	});
+});
+
+describe("pushProvider", () => {
+	const MANIFEST = "android/app/src/main/AndroidManifest.xml";
+
+	it("leaves MESSAGING_EVENT to the app's own service with delegate, and registers ECSDK's again with ecsdk", async () => {
+		const projectRoot = createProject("sdk54");
+		await prebuild(projectRoot);
+		await prebuild(projectRoot, { ...PROPS, pushProvider: "delegate" });
+
+		let manifest = readProject(projectRoot)[MANIFEST];
+		expect(manifest).not.toContain("ECSDKFirebaseMessagingService");
+		expect(manifest).not.toContain("com.google.firebase.MESSAGING_EVENT");
+		expect(manifest).toContain("android.permission.POST_NOTIFICATIONS");
+
+		await prebuild(projectRoot);
+
+		manifest = readProject(projectRoot)[MANIFEST];
+		expect(manifest.match(/ECSDKFirebaseMessagingService/g)).toHaveLength(1);
+	});
+
+	it("registers a service class that exists in the module's Android sources", async () => {
+		const projectRoot = createProject("sdk54");
+		await prebuild(projectRoot);
+
+		expect(readProject(projectRoot)[MANIFEST]).toContain(
+			`android:name="${FIREBASE_MESSAGING_SERVICE_CLASS}"`,
+		);
+		expect(() => assertAndroidClassExists(FIREBASE_MESSAGING_SERVICE_CLASS)).not.toThrow();
+		expect(() =>
+			assertAndroidClassExists("expo.modules.ecsdk.ECSDKFirebaseMessagingService"),
+		).toThrow("no class with that name exists");
+	});
+
+	it("rejects an unknown provider", () => {
+		const config = { name: "ECSDK Fixture", slug: "ecsdk-fixture" };
+		expect(() => withECSDK(config, { ...PROPS, pushProvider: "firebase" })).toThrow(
+			"'pushProvider' must be one of",
+		);
+	});
+});
+
+describe("Notification channel, icon and color", () => {
+	const NOTIFICATION_PROPS = {
+		...PROPS,
+		notificationChannelId: "fixture_alerts",
+		notificationChannelName: "Fixture alerts",
+		notificationChannelImportance: "max",
+		notificationIcon: "./notification-icon.png",
+		notificationColor: "#D32F2F",
+	};
+
+	it("writes the resources and removes the icon and color when they are unset", async () => {
+		const projectRoot = createProject("sdk54");
+		fs.writeFileSync(path.join(projectRoot, "notification-icon.png"), "icon");
+		await prebuild(projectRoot, NOTIFICATION_PROPS);
+
+		let files = readProject(projectRoot);
+		const res = "android/app/src/main/res";
+		expect(files[`${res}/drawable/ecsdk_notification_icon.png`]).toBe("icon");
+		expect(files[`${res}/values/colors.xml`]).toContain(
+			'<color name="ecsdk_notification_color">#D32F2F</color>',
+		);
+		expect(files[`${res}/values/strings.xml`]).toContain(
+			'<string name="ecsdk_notification_channel_id" translatable="false">fixture_alerts</string>',
+		);
+		expect(files[`${res}/values/strings.xml`]).toContain(
+			'<string name="ecsdk_notification_channel_name">Fixture alerts</string>',
+		);
+		const manifest = files["android/app/src/main/AndroidManifest.xml"];
+		expect(manifest).toContain(
+			'<meta-data android:name="expo.modules.ecsdkexpo.NOTIFICATION_CHANNEL_IMPORTANCE" android:value="max"/>',
+		);
+		expect(manifest).toContain(
+			'<meta-data android:name="com.google.firebase.messaging.default_notification_icon" android:resource="@drawable/ecsdk_notification_icon"/>',
+		);
+		expect(manifest).toContain(
+			'<meta-data android:name="expo.modules.ecsdkexpo.NOTIFICATION_COLOR" android:resource="@color/ecsdk_notification_color"/>',
+		);
+
+		await prebuild(projectRoot);
+
+		files = readProject(projectRoot);
+		expect(files[`${res}/values/colors.xml`]).not.toContain("ecsdk_notification_color");
+		expect(files["android/app/src/main/AndroidManifest.xml"]).not.toMatch(
+			/ecsdk_notification_(icon|color)/,
+		);
+	});
+
+	it("fails when the icon file does not exist", async () => {
+		const projectRoot = createProject("sdk54");
+		await expect(prebuild(projectRoot, NOTIFICATION_PROPS)).rejects.toThrow(
+			"'notificationIcon' file not found",
+		);
+	});
+
+	it("rejects a color that Android cannot parse", () => {
+		const config = { name: "ECSDK Fixture", slug: "ecsdk-fixture" };
+		expect(() => withECSDK(config, { ...PROPS, notificationColor: "red" })).toThrow(
+			"'notificationColor' must be a color",
+		);
+	});
+});
+
+describe("Gradle files the plugin cannot patch", () => {
+	it("fails with the lines to add by hand", async () => {
+		const projectRoot = createProject("sdk54");
+		const buildGradlePath = path.join(projectRoot, "android", "build.gradle");
+		fs.writeFileSync(
+			buildGradlePath,
+			fs.readFileSync(buildGradlePath, "utf8").replace(/allprojects \{[\s\S]*?\n\}\n/, ""),
+		);
+
+		await expect(prebuild(projectRoot)).rejects.toThrow(
+			"Could not add the GitHub Packages repository for ECSDK-Android to allprojects { repositories { ... } } in android/build.gradle",
+		);
+	});
+});
+
+describe("AppDelegate prebuilt by an earlier plugin version", () => {
+	it("replaces the old remote notification handlers", async () => {
+		const projectRoot = createProject("sdk54");
+		await prebuild(projectRoot);
+		const appDelegatePath = path.join(projectRoot, "ios", "HelloWorld", "AppDelegate.swift");
+		const current = fs.readFileSync(appDelegatePath, "utf8");
+		// Earlier versions injected handlers that only forwarded to EKNotificationManager
+		fs.writeFileSync(
+			appDelegatePath,
+			current.replace(/\n.*(NotificationCenter\.default\.post|let apnsToken).*/g, ""),
+		);
+
+		await prebuild(projectRoot);
+
+		expect(fs.readFileSync(appDelegatePath, "utf8")).toBe(current);
+	});
+
+	it("fails when AppDelegate implements the remote notification handlers itself", async () => {
+		const projectRoot = createProject("sdk54");
+		const appDelegatePath = path.join(projectRoot, "ios", "HelloWorld", "AppDelegate.swift");
+		fs.writeFileSync(
+			appDelegatePath,
+			fs
+				.readFileSync(appDelegatePath, "utf8")
+				.replace(
+					/\n\}\n/,
+					"\n  public func application(_ application: UIApplication, didRegisterForRemoteNotificationsWithDeviceToken deviceToken: Data) {}\n}\n",
+				),
+		);
+
+		await expect(prebuild(projectRoot)).rejects.toThrow(
+			"AppDelegate.swift already implements the remote notification handlers",
+		);
+	});
+});
+
+describe("credentialStrategy", () => {
+	it("keeps the token out of the project and ~/.netrc with environment, removing earlier credentials", async () => {
+		const projectRoot = createProject("sdk54");
+		await prebuild(projectRoot);
+		fs.rmSync(path.join(homeDir, ".netrc"));
+		await prebuild(projectRoot, { ...PROPS, credentialStrategy: "environment" });
+
+		const files = readProject(projectRoot);
+		expect(files["android/gradle.properties"]).not.toMatch(/gpr\.(usr|key)/);
+		expect(files["android/build.gradle"]).toContain('username = System.getenv("GPR_USER")\n');
+		expect(files["android/build.gradle"].match(/GitHubPackages/g)).toHaveLength(1);
+		expect(files).not.toHaveProperty(["~/.netrc"]);
+		expect(files["ios/Podfile"]).not.toContain("ecsdk-netrc.sh");
+	});
+
+	it("writes the token to local.properties with localProperties", async () => {
+		const projectRoot = createProject("sdk54-kotlin-dsl");
+		await prebuild(projectRoot, { ...PROPS, credentialStrategy: "localProperties" });
+
+		const files = readProject(projectRoot);
+		expect(files["android/local.properties"]).toBe(
+			"gpr.usr=ecsdk-bot\ngpr.key=test-github-token\n",
+		);
+		expect(files["android/gradle.properties"]).not.toMatch(/gpr\.(usr|key)/);
+		expect(files["android/build.gradle.kts"]).toContain(
+			'password = System.getenv("GPR_API_KEY") ?: localProperties.getProperty("gpr.key")',
+		);
+		expect(files).not.toHaveProperty(["~/.netrc"]);
+		expect(console.warn).toHaveBeenCalledWith(
+			expect.stringContaining("has no credentials for github.com"),
+		);
+
+		await prebuild(projectRoot);
+
+		expect(readProject(projectRoot)["android/local.properties"]).toBe("");
+	});
+
+	it("runs credentialCommand from Gradle with command", async () => {
+		const projectRoot = createProject("sdk54");
+		await prebuild(projectRoot, {
+			...PROPS,
+			credentialStrategy: "command",
+			credentialCommand: 'pass show "github/$USER"',
+		});
+
+		expect(readProject(projectRoot)["android/build.gradle"]).toContain(
+			'def gprCredentials = ["sh", "-c", "pass show \\"github/\\$USER\\""].execute(null, rootDir.parentFile)',
+		);
+		expect(() =>
+			withECSDK({ name: "ECSDK Fixture", slug: "ecsdk-fixture" }, { ...PROPS, credentialStrategy: "command" }),
+		).toThrow("'credentialCommand' is required");
+	});
+
+	it("leaves an existing github.com entry in ~/.netrc alone", async () => {
+		const projectRoot = createProject("sdk54");
+		const netrc = "machine github.com\n  login someone-else\n  password their-token\n";
+		fs.writeFileSync(path.join(homeDir, ".netrc"), netrc);
+		await prebuild(projectRoot);
+
+		expect(readProject(projectRoot)["~/.netrc"]).toBe(netrc);
+		expect(console.warn).toHaveBeenCalledWith(
+			expect.stringContaining("already has credentials for github.com"),
+		);
+	});
+
+	it("warns before writing the token to a file git tracks", async () => {
+		const projectRoot = createProject("sdk54");
+		const git = (...args) => spawnSync("git", args, { cwd: projectRoot, stdio: "ignore" });
+		git("init");
+		git("add", "android/gradle.properties");
+		await prebuild(projectRoot);
+
+		expect(console.warn).toHaveBeenCalledWith(
+			"⚠️  ECSDK: Writing your GitHub token to android/gradle.properties, which is tracked by git.",
+		);
+	});
+});
+
+describe("ios/ecsdk-netrc.sh", () => {
+	it("adds the GitHub credentials to ~/.netrc once, and is run from the Podfile on CI", async () => {
+		const projectRoot = createProject("sdk54");
+		await prebuild(projectRoot);
+		fs.rmSync(path.join(homeDir, ".netrc"));
+
+		const files = readProject(projectRoot);
+		expect(files["ios/Podfile"]).toContain(
+			"if ENV['EAS_BUILD'] == 'true' || ENV['CI']\n  system('sh', File.join(__dir__, 'ecsdk-netrc.sh'))",
+		);
+
+		const netrcPath = path.join(homeDir, ".netrc");
+		fs.writeFileSync(netrcPath, "machine example.com login someone password secret");
+		const env = { ...process.env, HOME: homeDir, GPR_USER: "ecsdk-bot", GPR_API_KEY: "test-github-token" };
+		for (let run = 0; run < 2; run++) {
+			const result = spawnSync("sh", [path.join(projectRoot, "ios", "ecsdk-netrc.sh")], { env });
+			expect(result.status).toBe(0);
+		}
+
+		expect(fs.readFileSync(netrcPath, "utf8")).toBe(
+			"machine example.com login someone password secret\nmachine github.com\n  login ecsdk-bot\n  password test-github-token\n\n",
+		);
+		expect(fs.statSync(netrcPath).mode & 0o777).toBe(0o600);
+	});
+});
+
+describe("Props validation", () => {
+	const config = { name: "ECSDK Fixture", slug: "ecsdk-fixture" };
+
+	it("reports every problem at once, with a suggestion for a misspelled prop", () => {
+		const props = { ...PROPS, ecsdkApiKey: undefined, ecsdkAPIKey: "key", syncBadgeCount: "yes" };
+
+		expect(() => validateECSDKConfig(props, { requireSecrets: true })).toThrow(
+			expect.objectContaining({
+				problems: [
+					"Unknown prop 'ecsdkAPIKey'. Did you mean 'ecsdkApiKey'?",
+					"'ecsdkApiKey' is required. Set it from the ECSDK_API_KEY environment variable in app.config.js. Get your API key from ELERTS.",
+					"'syncBadgeCount' must be a boolean, got: \"yes\"",
+				],
+			}),
+		);
+	});
+
+	it("only requires API keys and credentials during prebuild", () => {
+		const props = { pushProvider: "delegate", credentialStrategy: "environment" };
+
+		expect(() => withECSDK(config, props)).not.toThrow();
+		expect(() => validateECSDKConfig(props, { requireSecrets: true })).toThrow(
+			"The ecsdk-expo plugin props have 2 problems",
+		);
+	});
+});
+
+describe("doctor", () => {
+	const googleServicesFor = (packageName) =>
+		JSON.stringify({
+			project_info: { project_id: "ecsdk-fixture" },
+			client: [{ client_info: { android_client_info: { package_name: packageName } } }],
+		});
+
+	it.each(FIXTURES)("passes every check after prebuild of the $description", async ({ fixture }) => {
+		const projectRoot = createProject(fixture);
+		fs.writeFileSync(path.join(projectRoot, "google-services.json"), googleServicesFor("com.helloworld"));
+		await prebuild(projectRoot);
+
+		const results = await runDoctor(projectRoot);
+
+		expect(results.filter((check) => !check.passed)).toEqual([]);
+		expect(formatDoctorReport(results)).toContain(`All ${results.length} checks passed.`);
+	});
+
+	it("reports what prebuild has not applied", async () => {
+		const projectRoot = createProject("sdk54");
+		await prebuild(projectRoot);
+		fs.writeFileSync(
+			path.join(projectRoot, "android", "app", "google-services.json"),
+			googleServicesFor("com.example.other"),
+		);
+		// As if the template had been regenerated without the plugin
+		fs.cpSync(path.join(__dirname, "fixtures", "sdk54", "ios"), path.join(projectRoot, "ios"), {
+			recursive: true,
+		});
+
+		const results = await runDoctor(projectRoot);
+		const failed = results.filter((check) => !check.passed).map((check) => check.title);
+
+		expect(failed).toEqual([
+			"google-services.json is present and matches com.helloworld",
+			"AppDelegate initializes ELERTSKit",
+			"AppDelegate passes the APNs token to EKNotificationManager",
+			"UIBackgroundModes includes fetch and remote-notification",
+			"Info.plist has the camera, location, photo library and microphone privacy strings",
+			"Podfile has use_modular_headers!",
+		]);
+		expect(formatDoctorReport(results)).toContain(
+			"It has no client for com.helloworld, only com.example.other.",
+		);
+	});
+
+	it("expects the app's own messaging service with pushProvider delegate", async () => {
+		const projectRoot = createProject("sdk54");
+		await prebuild(projectRoot, { ...PROPS, pushProvider: "delegate" });
+
+		const results = await runDoctor(projectRoot, { props: { pushProvider: "delegate" }, platforms: ["android"] });
+
+		expect(results.find((check) => !check.passed)?.title).toBe(
+			"AndroidManifest.xml registers a service for com.google.firebase.MESSAGING_EVENT",
+		);
+	});
+});
+
+describe("environments", () => {
+	const { ecsdkApiKey, productKey, ...sharedProps } = PROPS;
+	const ENVIRONMENTS = {
+		preview: { ecsdkApiKey: "qa-api-key" },
+		production: { ecsdkApiKey: "production-api-key", productKey: "ECSDKProduction" },
+	};
+
+	it("bakes in the selected environment and switches its keys on the next prebuild", async () => {
+		const projectRoot = createProject("sdk54");
+		await prebuild(projectRoot, { ...sharedProps, environments: ENVIRONMENTS, environment: "preview" });
+
+		let files = readProject(projectRoot);
+		expect(files["ios/HelloWorld/Info.plist"]).toMatch(/<key>ECSDK_ENVIRONMENT<\/key>\s*<string>preview<\/string>/);
+		expect(files["android/app/src/main/res/values/strings.xml"]).toContain(
+			'<string name="ecsdk_environment" translatable="false">preview</string>',
+		);
+		expect(files["android/app/src/main/AndroidManifest.xml"]).toContain('android:value="qa-api-key"');
+		expect(files["ios/HelloWorld/AppDelegate.swift"]).toContain('var ecsdkApiKey = "qa-api-key"');
+
+		await prebuild(projectRoot, { ...sharedProps, environments: ENVIRONMENTS, environment: "production" });
+
+		files = readProject(projectRoot);
+		expect(files["android/app/src/main/AndroidManifest.xml"]).toContain('android:value="production-api-key"');
+		expect(files["android/app/src/main/AndroidManifest.xml"]).not.toContain("qa-api-key");
+		expect(files["ios/HelloWorld/AppDelegate.swift"]).toContain('var ecsdkApiKey = "production-api-key"');
+		expect(files["ios/HelloWorld/AppDelegate.swift"]).toContain('ELERTSKit.productKey = "ECSDKProduction"');
+		expect(files["ios/HelloWorld/AppDelegate.swift"]).not.toContain("qa-api-key");
+
+		await prebuild(projectRoot);
+
+		files = readProject(projectRoot);
+		expect(files["ios/HelloWorld/Info.plist"]).not.toContain("ECSDK_ENVIRONMENT");
+		expect(files["android/app/src/main/res/values/strings.xml"]).not.toContain("ecsdk_environment");
+	});
+
+	it("never lets a build fall back to another environment's API key", () => {
+		expect(() =>
+			validateECSDKConfig(
+				{
+					...sharedProps,
+					ecsdkApiKey: "production-api-key",
+					environments: { ...ENVIRONMENTS, preview: { ecsdkApiKey: "production-api-key" } },
+					environment: "staging",
+				},
+				{ requireSecrets: true },
+			),
+		).toThrow(
+			expect.objectContaining({
+				problems: [
+					"'ecsdkApiKey' can't be set together with 'environments'. Set it in each environment instead, so no build falls back to another environment's key.",
+					'\'environment\' must be one of "preview", "production", got: "staging"',
+					"'environments.production.ecsdkApiKey' is the same as 'environments.preview.ecsdkApiKey'. Each environment needs the API key of its own ELERTS organization.",
+				],
+			}),
+		);
+	});
+});
@@ -1,40 +1,86 @@
 const {
+	AndroidConfig,
 	withGradleProperties,
 	withProjectBuildGradle,
 	withAppBuildGradle,
+	withSettingsGradle,
 	withDangerousMod,
 } = require("@expo/config-plugins");
+const { spawnSync } = require("child_process");
 const fs = require("fs");
 const path = require("path");
 
-function withECSDKGradleProperties(config, { githubUsername, githubToken }) {
+const { findBlock, appendToBlock, createGradleModError } = require("./gradleBlocks");
+const sdkVersions = require("../../sdk-versions.json");
+
+const GITHUB_CREDENTIAL_KEYS = ["gpr.usr", "gpr.key"];
+
+/**
+ * Whether git tracks the file, so anything written to it may end up committed
+ * False when the project is not a git repository or git is not installed
+ */
+function isTrackedByGit(filePath) {
+	const result = spawnSync("git", ["ls-files", "--error-unmatch", path.basename(filePath)], {
+		cwd: path.dirname(filePath),
+		stdio: "ignore",
+	});
+	return result.status === 0;
+}
+
+function warnIfTracked(filePath, projectRoot) {
+	if (!isTrackedByGit(filePath)) {
+		return;
+	}
+	const file = path.relative(projectRoot, filePath);
+	console.warn(`⚠️  ECSDK: Writing your GitHub token to ${file}, which is tracked by git.`);
+	console.warn(
+		`   Don't commit it. Use credentialStrategy "environment", "localProperties" or "command" to keep the token out of ${file}.`,
+	);
+}
+
+function withECSDKGradleProperties(
+	config,
+	{ githubUsername, githubToken, androidSdkVersion, credentialStrategy = "gradleProperties" },
+) {
 	return withGradleProperties(config, (config) => {
 		// Add GitHub credentials to gradle.properties if provided
 		// These are used to access the ECSDK-Android library from GitHub Packages
-		const gprUser = githubUsername;
-		const gprKey = githubToken;
-
-		if (gprUser) {
-			// Remove existing GPR_USER if present
+		// Other credential strategies keep them out of gradle.properties, so any left by
+		// an earlier prebuild are removed
+		const credentials =
+			credentialStrategy === "gradleProperties"
+				? { "gpr.usr": githubUsername, "gpr.key": githubToken }
+				: { "gpr.usr": null, "gpr.key": null };
+
+		for (const [key, value] of Object.entries(credentials)) {
+			if (value === undefined) {
+				continue;
+			}
 			config.modResults = config.modResults.filter(
-				(item) => item.type !== "property" || item.key !== "gpr.usr",
+				(item) => item.type !== "property" || item.key !== key,
 			);
-			config.modResults.push({
-				type: "property",
-				key: "gpr.usr",
-				value: gprUser,
-			});
+			if (value) {
+				config.modResults.push({ type: "property", key, value });
+			}
 		}
 
-		if (gprKey) {
-			// Remove existing GPR_API_KEY if present
-			config.modResults = config.modResults.filter(
-				(item) => item.type !== "property" || item.key !== "gpr.key",
+		if (credentialStrategy === "gradleProperties" && githubToken) {
+			warnIfTracked(
+				path.join(config.modRequest.platformProjectRoot, "gradle.properties"),
+				config.modRequest.projectRoot,
 			);
+		}
+
+		// ECSDK-Android version override, read by the ecsdk-expo module's build.gradle
+		// Removed when the prop is not set, so the module falls back to sdk-versions.json
+		config.modResults = config.modResults.filter(
+			(item) => item.type !== "property" || item.key !== "ecsdk.androidSdkVersion",
+		);
+		if (androidSdkVersion) {
 			config.modResults.push({
 				type: "property",
-				key: "gpr.key",
-				value: gprKey,
+				key: "ecsdk.androidSdkVersion",
+				value: androidSdkVersion,
 			});
 		}
 
@@ -43,76 +89,286 @@ function withECSDKGradleProperties(config, { githubUsername, githubToken }) {
 }
 
 /**
- * Add GitHub Packages repository to project-level build.gradle
+ * Write the GitHub credentials to android/local.properties for credentialStrategy "localProperties"
+ * The Expo template's android/.gitignore ignores that file. With other strategies, credentials
+ * left there by an earlier prebuild are removed.
  */
-function withGitHubPackagesRepository(config) {
-	return withProjectBuildGradle(config, (config) => {
-		const { modResults } = config;
-		let contents = modResults.contents;
+function withECSDKLocalProperties(config, { githubUsername, githubToken, credentialStrategy }) {
+	return withDangerousMod(config, [
+		"android",
+		async (config) => {
+			const localPropertiesPath = path.join(
+				config.modRequest.platformProjectRoot,
+				"local.properties",
+			);
+			const writesCredentials = credentialStrategy === "localProperties" && githubUsername && githubToken;
+			if (!writesCredentials && !fs.existsSync(localPropertiesPath)) {
+				return config;
+			}
 
-		// Add GitHub Packages repository if not present
-		if (!contents.includes("maven.pkg.github.com/elerts/ecsdk-android")) {
-			// Find the allprojects repositories block
-			const allProjectsRegex = /allprojects\s*{[\s\S]*?repositories\s*{([^}]*?)}/;
-			const match = contents.match(allProjectsRegex);
-
-			if (match) {
-				const insertPosition = match.index + match[0].length - 1;
-				const githubPackagesRepo = `
-
-
-    // GitHub Packages for ECSDK-Android
-    maven {
-      name = "GitHubPackages"
-      url = uri("https://maven.pkg.github.com/elerts/ecsdk-android")
-      credentials {
-        username = System.getenv("GPR_USER") ?: project.findProperty("gpr.usr")
-        password = System.getenv("GPR_API_KEY") ?: project.findProperty("gpr.key")
-      }
-    }`;
-
-				contents =
-					contents.slice(0, insertPosition) +
-					githubPackagesRepo +
-					contents.slice(insertPosition);
+			const contents = fs.existsSync(localPropertiesPath)
+				? fs.readFileSync(localPropertiesPath, "utf8")
+				: "";
+			const lines = contents
+				.split("\n")
+				.filter((line) => !GITHUB_CREDENTIAL_KEYS.some((key) => line.startsWith(`${key}=`)));
+			while (lines.length > 0 && lines[lines.length - 1] === "") {
+				lines.pop();
 			}
+
+			if (writesCredentials) {
+				warnIfTracked(localPropertiesPath, config.modRequest.projectRoot);
+				lines.push(`gpr.usr=${githubUsername}`, `gpr.key=${githubToken}`);
+			}
+
+			const newContents = lines.length > 0 ? `${lines.join("\n")}\n` : "";
+			if (newContents !== contents) {
+				fs.writeFileSync(localPropertiesPath, newContents);
+			}
+			return config;
+		},
+	]);
+}
+
+const GITHUB_PACKAGES_URL = "https://maven.pkg.github.com/elerts/ecsdk-android";
+const GOOGLE_SERVICES_VERSION = "4.4.0";
+
+const GITHUB_PACKAGES_COMMENT = "// GitHub Packages for ECSDK-Android";
+
+/**
+ * Statements of the repository's credentials block that set username and password,
+ * read the way the credential strategy keeps them
+ * Environment variables come first, so CI can always override the local credentials
+ */
+function getGitHubPackagesCredentialLines(language, { inSettings, credentialStrategy, credentialCommand }) {
+	const kotlin = language === "kt";
+	const fromEnvironment = (name, fallback) =>
+		fallback ? `System.getenv("${name}") ?: ${fallback}` : `System.getenv("${name}")`;
+	const credentialLines = (usernameFallback, passwordFallback) => [
+		`username = ${fromEnvironment("GPR_USER", usernameFallback)}`,
+		`password = ${fromEnvironment("GPR_API_KEY", passwordFallback)}`,
+	];
+
+	switch (credentialStrategy) {
+		case "environment":
+			return credentialLines();
+
+		case "localProperties":
+			return [
+				...(kotlin
+					? [
+							"val localProperties = java.util.Properties()",
+							'val localPropertiesFile = File(rootDir, "local.properties")',
+							"if (localPropertiesFile.exists()) localPropertiesFile.inputStream().use { localProperties.load(it) }",
+						]
+					: [
+							"def localProperties = new Properties()",
+							'def localPropertiesFile = new File(rootDir, "local.properties")',
+							"if (localPropertiesFile.exists()) localPropertiesFile.withInputStream { localProperties.load(it) }",
+						]),
+				...credentialLines(
+					'localProperties.getProperty("gpr.usr")',
+					'localProperties.getProperty("gpr.key")',
+				),
+			];
+
+		case "command": {
+			// Groovy and Kotlin share the string escapes, including \$ for a literal dollar sign
+			const command = JSON.stringify(credentialCommand).replace(/\$/g, () => "\\$");
+			return [
+				"// Run from the app's root directory, prints username=... and password=... like a git credential helper",
+				...(kotlin
+					? [
+							`val gprCredentials = ProcessBuilder("sh", "-c", ${command}).directory(rootDir.parentFile).start()`,
+							"  .inputStream.bufferedReader().readLines()",
+							'  .filter { it.contains("=") }.associate { it.substringBefore("=") to it.substringAfter("=") }',
+						]
+					: [
+							`def gprCredentials = ["sh", "-c", ${command}].execute(null, rootDir.parentFile).text.readLines()`,
+							'  .findAll { it.contains("=") }.collectEntries { it.split("=", 2) as List }',
+						]),
+				...credentialLines('gprCredentials["username"]', 'gprCredentials["password"]'),
+			];
 		}
 
-		modResults.contents = contents;
+		default: {
+			// Settings scripts have no `project`, so there the credentials are read through `providers`
+			const gradleProperty = (name) => {
+				if (inSettings) {
+					return kotlin
+						? `providers.gradleProperty("${name}").orNull`
+						: `providers.gradleProperty("${name}").getOrNull()`;
+				}
+				return kotlin
+					? `project.findProperty("${name}") as String?`
+					: `project.findProperty("${name}")`;
+			};
+			return credentialLines(gradleProperty("gpr.usr"), gradleProperty("gpr.key"));
+		}
+	}
+}
+
+/**
+ * GitHub Packages repository for ECSDK-Android, in the language of the file it goes into
+ */
+function getGitHubPackagesRepositoryLines(language, { inSettings = false, ...credentialOptions } = {}) {
+	return [
+		GITHUB_PACKAGES_COMMENT,
+		"maven {",
+		'  name = "GitHubPackages"',
+		`  url = uri("${GITHUB_PACKAGES_URL}")`,
+		"  credentials {",
+		...getGitHubPackagesCredentialLines(language, { inSettings, ...credentialOptions }).map(
+			(line) => `    ${line}`,
+		),
+		"  }",
+		"}",
+	];
+}
+
+/**
+ * Remove the repository added by an earlier prebuild, with the blank line before it,
+ * so it can be added again for the current credential strategy
+ */
+function removeGitHubPackagesRepository(contents) {
+	const commentStart = contents.indexOf(GITHUB_PACKAGES_COMMENT);
+	if (commentStart === -1) {
+		return contents;
+	}
+	const maven = findBlock(contents.slice(commentStart), ["maven"]);
+	if (!maven) {
+		return contents;
+	}
+
+	let start = contents.lastIndexOf("\n", commentStart) + 1;
+	const previousLineStart = contents.lastIndexOf("\n", start - 2) + 1;
+	if (start > 0 && /^[ \t]*\n$/.test(contents.slice(previousLineStart, start))) {
+		start = previousLineStart;
+	}
+	let end = commentStart + maven.close + 1;
+	if (contents[end] === "\n") {
+		end++;
+	}
+	return contents.slice(0, start) + contents.slice(end);
+}
+
+/**
+ * Add GitHub Packages repository for the ECSDK-Android library
+ * Projects that declare repositories in settings.gradle (dependencyResolutionManagement) get it
+ * there, others in the allprojects block of the project-level build.gradle
+ *
+ * @param {Object} options - Plugin options
+ * @param {string} [options.credentialStrategy] - Where Gradle reads the GitHub credentials from (default: "gradleProperties")
+ * @param {string} [options.credentialCommand] - Command that prints the credentials, for credentialStrategy "command"
+ */
+function withGitHubPackagesRepository(
+	config,
+	{ credentialStrategy = "gradleProperties", credentialCommand } = {},
+) {
+	config = withSettingsGradle(config, (config) => {
+		const { modResults } = config;
+		modResults.contents = removeGitHubPackagesRepository(modResults.contents);
+		// Added by hand
+		if (modResults.contents.includes(GITHUB_PACKAGES_URL)) {
+			return config;
+		}
+
+		const repositories = findBlock(modResults.contents, [
+			"dependencyResolutionManagement",
+			"repositories",
+		]);
+		if (repositories) {
+			modResults.contents = appendToBlock(modResults.contents, repositories, [
+				"",
+				...getGitHubPackagesRepositoryLines(modResults.language, {
+					inSettings: true,
+					credentialStrategy,
+					credentialCommand,
+				}),
+			]);
+		}
+		return config;
+	});
+
+	return withProjectBuildGradle(config, async (config) => {
+		const { modResults } = config;
+		modResults.contents = removeGitHubPackagesRepository(modResults.contents);
+		// Added by hand
+		if (modResults.contents.includes(GITHUB_PACKAGES_URL)) {
+			return config;
+		}
+
+		// Added to settings.gradle above
+		const settingsGradle = await AndroidConfig.Paths.getSettingsGradleAsync(
+			config.modRequest.projectRoot,
+		);
+		if (findBlock(settingsGradle.contents, ["dependencyResolutionManagement", "repositories"])) {
+			return config;
+		}
+
+		const repositoryLines = getGitHubPackagesRepositoryLines(modResults.language, {
+			credentialStrategy,
+			credentialCommand,
+		});
+		const repositories = findBlock(modResults.contents, ["allprojects", "repositories"]);
+		if (!repositories) {
+			throw createGradleModError(
+				config,
+				"add the GitHub Packages repository for ECSDK-Android to allprojects { repositories { ... } }",
+				repositoryLines,
+			);
+		}
+
+		modResults.contents = appendToBlock(modResults.contents, repositories, [
+			"",
+			...repositoryLines,
+		]);
 		return config;
 	});
 }
 
 /**
  * Add Google Services plugin to project-level build.gradle
+ * On the buildscript classpath if the project has one, otherwise in its plugins block
  */
 function withGoogleServicesGradle(config) {
 	return withProjectBuildGradle(config, (config) => {
 		const { modResults } = config;
+		const kotlin = modResults.language === "kt";
 		let contents = modResults.contents;
 
-		// Add Google Services classpath to buildscript dependencies if not present
-		if (!contents.includes("com.google.gms:google-services")) {
-			// Find the buildscript dependencies block
-			const dependenciesRegex = /buildscript\s*{[\s\S]*?dependencies\s*{([^}]*)}/;
-			const match = contents.match(dependenciesRegex);
-
-			if (match) {
-				const dependenciesContent = match[1];
-				const lastClasspath = dependenciesContent.lastIndexOf("classpath");
-
-				if (lastClasspath !== -1) {
-					// Find the end of the last classpath line
-					const insertPosition = match.index + match[0].length - 1;
-					const googleServicesClasspath =
-						"\n    classpath('com.google.gms:google-services:4.4.0')";
-
-					contents =
-						contents.slice(0, insertPosition) +
-						googleServicesClasspath +
-						contents.slice(insertPosition);
-				}
-			}
+		if (
+			contents.includes("com.google.gms:google-services") ||
+			contents.includes("com.google.gms.google-services")
+		) {
+			return config;
+		}
+
+		const buildscriptDependencies = findBlock(contents, ["buildscript", "dependencies"]);
+		const plugins = findBlock(contents, ["plugins"]);
+
+		if (buildscriptDependencies) {
+			contents = appendToBlock(contents, buildscriptDependencies, [
+				kotlin
+					? `classpath("com.google.gms:google-services:${GOOGLE_SERVICES_VERSION}")`
+					: `classpath('com.google.gms:google-services:${GOOGLE_SERVICES_VERSION}')`,
+			]);
+		} else if (plugins) {
+			contents = appendToBlock(contents, plugins, [
+				kotlin
+					? `id("com.google.gms.google-services") version "${GOOGLE_SERVICES_VERSION}" apply false`
+					: `id 'com.google.gms.google-services' version '${GOOGLE_SERVICES_VERSION}' apply false`,
+			]);
+		} else {
+			throw createGradleModError(config, "add the Google Services Gradle plugin", [
+				"buildscript {",
+				"  dependencies {",
+				kotlin
+					? `    classpath("com.google.gms:google-services:${GOOGLE_SERVICES_VERSION}")`
+					: `    classpath('com.google.gms:google-services:${GOOGLE_SERVICES_VERSION}')`,
+				"  }",
+				"}",
+			]);
 		}
 
 		modResults.contents = contents;
@@ -121,28 +377,43 @@ function withGoogleServicesGradle(config) {
 }
 
 /**
- * Add Google Services plugin to app-level build.gradle
+ * Apply Google Services plugin in app-level build.gradle
+ * In its plugins block if it has one, otherwise after the last `apply plugin` statement
  */
 function withGoogleServicesAppGradle(config) {
 	return withAppBuildGradle(config, (config) => {
 		const { modResults } = config;
+		const kotlin = modResults.language === "kt";
 		let contents = modResults.contents;
 
-		// Add Google Services plugin after other apply plugin statements if not present
-		if (!contents.includes('apply plugin: "com.google.gms.google-services"')) {
-			// Find the last apply plugin statement
-			const applyPluginRegex = /apply plugin: ["']com\.facebook\.react["']/;
-			const match = contents.match(applyPluginRegex);
-
-			if (match) {
-				const insertPosition = match.index + match[0].length;
-				const googleServicesPlugin = '\napply plugin: "com.google.gms.google-services"';
+		if (contents.includes("com.google.gms.google-services")) {
+			return config;
+		}
 
-				contents =
-					contents.slice(0, insertPosition) +
-					googleServicesPlugin +
-					contents.slice(insertPosition);
-			}
+		const plugins = findBlock(contents, ["plugins"]);
+		const applyPluginRegex = kotlin
+			? /^apply\(plugin\s*=\s*"[^"]+"\)[^\n]*/gm
+			: /^apply plugin:\s*["'][^"']+["'][^\n]*/gm;
+		const applyPlugins = [...contents.matchAll(applyPluginRegex)];
+		const applyGoogleServices = kotlin
+			? 'apply(plugin = "com.google.gms.google-services")'
+			: 'apply plugin: "com.google.gms.google-services"';
+
+		if (plugins) {
+			contents = appendToBlock(contents, plugins, [
+				kotlin ? 'id("com.google.gms.google-services")' : 'id "com.google.gms.google-services"',
+			]);
+		} else if (applyPlugins.length > 0) {
+			const lastApplyPlugin = applyPlugins[applyPlugins.length - 1];
+			const insertPosition = lastApplyPlugin.index + lastApplyPlugin[0].length;
+			contents =
+				contents.slice(0, insertPosition) +
+				`\n${applyGoogleServices}` +
+				contents.slice(insertPosition);
+		} else {
+			throw createGradleModError(config, "apply the Google Services Gradle plugin", [
+				applyGoogleServices,
+			]);
 		}
 
 		modResults.contents = contents;
@@ -152,28 +423,37 @@ function withGoogleServicesAppGradle(config) {
 
 /**
  * Add ECSDK library dependency to app-level build.gradle
+ * The version defaults to the one in sdk-versions.json
  */
-function withECSDKDependency(config) {
+function withECSDKDependency(config, { androidSdkVersion = sdkVersions.androidSdkVersion } = {}) {
 	return withAppBuildGradle(config, (config) => {
 		const { modResults } = config;
 		let contents = modResults.contents;
 
-		// Add ECSDK dependency if not present
-		if (!contents.includes("com.elerts.libraries:elertsui")) {
-			// Find the dependencies block
-			const dependenciesRegex = /dependencies\s*{/;
-			const match = contents.match(dependenciesRegex);
-
-			if (match) {
-				const insertPosition = match.index + match[0].length;
-				const ecsdkDependency =
-					"\n    implementation 'com.elerts.libraries:elertsui:2.2.6'";
-
-				contents =
-					contents.slice(0, insertPosition) +
-					ecsdkDependency +
-					contents.slice(insertPosition);
+		const ecsdkDependencyRegex = /(['"]com\.elerts\.libraries:elertsui:)[^'"]*(['"])/;
+		if (ecsdkDependencyRegex.test(contents)) {
+			// Update the version added by a previous prebuild
+			contents = contents.replace(ecsdkDependencyRegex, `$1${androidSdkVersion}$2`);
+		} else {
+			// Add ECSDK dependency to the dependencies block
+			const ecsdkDependency =
+				modResults.language === "kt"
+					? `implementation("com.elerts.libraries:elertsui:${androidSdkVersion}")`
+					: `implementation 'com.elerts.libraries:elertsui:${androidSdkVersion}'`;
+			const dependencies = findBlock(contents, ["dependencies"]);
+			if (!dependencies) {
+				throw createGradleModError(config, "add the ECSDK-Android dependency", [
+					"dependencies {",
+					`    ${ecsdkDependency}`,
+					"}",
+				]);
 			}
+
+			const insertPosition = dependencies.open + 1;
+			contents =
+				contents.slice(0, insertPosition) +
+				`\n    ${ecsdkDependency}` +
+				contents.slice(insertPosition);
 		}
 
 		modResults.contents = contents;
@@ -186,42 +466,57 @@ function withECSDKDependency(config) {
  */
 function withCoreLibraryDesugaring(config) {
 	return withAppBuildGradle(config, (config) => {
+		const kotlin = config.modResults.language === "kt";
 		let contents = config.modResults.contents;
 
 		// Add coreLibraryDesugaringEnabled to android block if not present
-		if (!contents.includes("coreLibraryDesugaringEnabled")) {
+		if (!/\b(coreLibraryDesugaringEnabled|isCoreLibraryDesugaringEnabled)\b/.test(contents)) {
+			const compileOptionsLines = [
+				"compileOptions {",
+				kotlin
+					? "    isCoreLibraryDesugaringEnabled = true"
+					: "    coreLibraryDesugaringEnabled = true",
+				"    sourceCompatibility = JavaVersion.VERSION_17",
+				"    targetCompatibility = JavaVersion.VERSION_17",
+				"}",
+			];
+
 			// Find the android { block and add compileOptions inside it
-			const androidBlockMatch = contents.match(/android\s*{/);
-			if (androidBlockMatch) {
-				const insertPosition = androidBlockMatch.index + androidBlockMatch[0].length;
-				const compileOptions = `
-    compileOptions {
-        coreLibraryDesugaringEnabled = true
-        sourceCompatibility = JavaVersion.VERSION_17
-        targetCompatibility = JavaVersion.VERSION_17
-    }
-`;
-
-				contents =
-					contents.slice(0, insertPosition) +
-					compileOptions +
-					contents.slice(insertPosition);
+			const android = findBlock(contents, ["android"]);
+			if (!android) {
+				throw createGradleModError(config, "enable core library desugaring", [
+					"android {",
+					...compileOptionsLines.map((line) => `    ${line}`),
+					"}",
+				]);
 			}
+
+			const insertPosition = android.open + 1;
+			const compileOptions = `\n${compileOptionsLines.map((line) => `    ${line}`).join("\n")}\n`;
+			contents =
+				contents.slice(0, insertPosition) + compileOptions + contents.slice(insertPosition);
 		}
 
 		// Add desugar dependency if not present
 		if (!contents.includes("desugar_jdk_libs")) {
-			const dependenciesMatch = contents.match(/dependencies\s*{/);
-			if (dependenciesMatch) {
-				const insertPosition = dependenciesMatch.index + dependenciesMatch[0].length;
-				const desugarDependency = `
-    coreLibraryDesugaring 'com.android.tools:desugar_jdk_libs:2.1.5'`;
-
-				contents =
-					contents.slice(0, insertPosition) +
-					desugarDependency +
-					contents.slice(insertPosition);
+			const desugarDependency = kotlin
+				? 'coreLibraryDesugaring("com.android.tools:desugar_jdk_libs:2.1.5")'
+				: "coreLibraryDesugaring 'com.android.tools:desugar_jdk_libs:2.1.5'";
+
+			const dependencies = findBlock(contents, ["dependencies"]);
+			if (!dependencies) {
+				throw createGradleModError(config, "add the core library desugaring dependency", [
+					"dependencies {",
+					`    ${desugarDependency}`,
+					"}",
+				]);
 			}
+
+			const insertPosition = dependencies.open + 1;
+			contents =
+				contents.slice(0, insertPosition) +
+				`\n    ${desugarDependency}` +
+				contents.slice(insertPosition);
 		}
 
 		config.modResults.contents = contents;
@@ -327,7 +622,9 @@ function withIOSModularHeaders(config) {
 }
 
 module.exports = {
+	GITHUB_PACKAGES_URL,
 	withECSDKGradleProperties,
+	withECSDKLocalProperties,
 	withGitHubPackagesRepository,
 	withGoogleServicesGradle,
 	withGoogleServicesAppGradle,
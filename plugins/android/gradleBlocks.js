@@ -0,0 +1,95 @@
+const path = require("path");
+
+/**
+ * Helpers for editing Groovy and Kotlin DSL Gradle files block by block
+ * Mods get the build language from `config.modResults.language`: "groovy" or "kt"
+ */
+
+/**
+ * Find the brace that closes the block opened at openBracePos
+ * @returns Index of the closing brace, or -1 if the block is not closed
+ */
+function findClosingBrace(contents, openBracePos) {
+	let braceCount = 0;
+	for (let pos = openBracePos; pos < contents.length; pos++) {
+		if (contents[pos] === "{") braceCount++;
+		else if (contents[pos] === "}") braceCount--;
+		if (braceCount === 0) {
+			return pos;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Find a block by its name and the names of the blocks around it,
+ * e.g. ["allprojects", "repositories"] for `allprojects { repositories { ... } }`
+ * @returns Positions of the block's opening and closing braces, or null if it is not found
+ */
+function findBlock(contents, names) {
+	let block = null;
+	let start = 0;
+	let end = contents.length;
+
+	for (const name of names) {
+		const blockRegex = new RegExp(`(^|[^\\w.])${name}\\s*\\{`, "g");
+		blockRegex.lastIndex = start;
+		const match = blockRegex.exec(contents);
+		if (!match || match.index >= end) {
+			return null;
+		}
+
+		const open = match.index + match[0].length - 1;
+		const close = findClosingBrace(contents, open);
+		if (close === -1 || close > end) {
+			return null;
+		}
+
+		block = { open, close };
+		start = open + 1;
+		end = close;
+	}
+
+	return block;
+}
+
+/**
+ * Add lines at the end of a block, indented like the block's first line
+ * Lines keep their own indentation relative to that
+ */
+function appendToBlock(contents, block, lines) {
+	const lineStart = contents.lastIndexOf("\n", block.close) + 1;
+	const closingBraceOnOwnLine =
+		lineStart > block.open && /^[ \t]*$/.test(contents.slice(lineStart, block.close));
+	const closingIndent = closingBraceOnOwnLine ? contents.slice(lineStart, block.close) : "";
+	const firstLineIndent = contents.slice(block.open + 1, block.close).match(/\n([ \t]+)\S/);
+	const indent = firstLineIndent ? firstLineIndent[1] : `${closingIndent}    `;
+	const text = `${lines.map((line) => (line ? indent + line : line)).join("\n")}\n`;
+
+	if (closingBraceOnOwnLine) {
+		return contents.slice(0, lineStart) + text + contents.slice(lineStart);
+	}
+	return `${contents.slice(0, block.close)}\n${text}${closingIndent}${contents.slice(block.close)}`;
+}
+
+/**
+ * Error for a change a Gradle mod could not make, with the lines to add by hand
+ */
+function createGradleModError(config, change, lines) {
+	const file = path.relative(config.modRequest.projectRoot, config.modResults.path);
+	return new Error(
+		`ECSDK Config Plugin Error: Could not ${change} in ${file}.
+
+The file does not have the block the plugin expected. Please add this manually:
+
+${lines.join("\n")}
+
+Then run prebuild again. If this is a standard Expo template, please report it at https://github.com/Hosam-hsm/ecsdk-expo/issues`,
+	);
+}
+
+module.exports = {
+	findBlock,
+	appendToBlock,
+	createGradleModError,
+};
@@ -1,4 +1,51 @@
-const { withAndroidManifest, AndroidConfig } = require("@expo/config-plugins");
+/* eslint-env node */
+const { withAndroidManifest, withDangerousMod, AndroidConfig } = require("@expo/config-plugins");
+const fs = require("fs");
+const path = require("path");
+
+// Fully qualified name of the service in android/src/main/java/expo/modules/ecsdkexpo
+const FIREBASE_MESSAGING_SERVICE_CLASS = "expo.modules.ecsdkexpo.ECSDKFirebaseMessagingService";
+
+// Registered by earlier versions of the plugin; no such class exists, so Android never started it
+const LEGACY_FIREBASE_MESSAGING_SERVICE_CLASSES = ["expo.modules.ecsdk.ECSDKFirebaseMessagingService"];
+
+const ANDROID_SOURCE_DIR = path.join(__dirname, "..", "..", "android", "src", "main", "java");
+
+// Drawable the notificationIcon option is copied to
+const NOTIFICATION_ICON_DRAWABLE = "ecsdk_notification_icon";
+
+/**
+ * Throw if no Kotlin or Java file in the module's Android sources declares the class,
+ * so the manifest never points Android at a class that does not exist
+ */
+function assertAndroidClassExists(className, sourceDir = ANDROID_SOURCE_DIR) {
+	const packageName = className.slice(0, className.lastIndexOf("."));
+	const simpleName = className.slice(className.lastIndexOf(".") + 1);
+	const packageRegex = new RegExp(`^package\\s+${packageName.replace(/\./g, "\\.")}\\s*;?\\s*$`, "m");
+	const classRegex = new RegExp(`\\bclass\\s+${simpleName}\\b`);
+
+	const declaresClass = (dir) =>
+		fs.existsSync(dir) &&
+		fs.readdirSync(dir, { withFileTypes: true }).some((entry) => {
+			const entryPath = path.join(dir, entry.name);
+			if (entry.isDirectory()) {
+				return declaresClass(entryPath);
+			}
+			if (!/\.(kt|java)$/.test(entry.name)) {
+				return false;
+			}
+			const source = fs.readFileSync(entryPath, "utf8");
+			return packageRegex.test(source) && classRegex.test(source);
+		});
+
+	if (!declaresClass(sourceDir)) {
+		throw new Error(
+			`ECSDK Config Plugin Error: AndroidManifest.xml would register ${className}, but no class with that name exists in ${sourceDir}.
+
+Android would never start it, and ELERTS push notifications would be dropped. If the class was renamed or moved, update FIREBASE_MESSAGING_SERVICE_CLASS in plugins/android/manifest.js.`,
+		);
+	}
+}
 
 /**
  * Helper function to add a permission to the AndroidManifest.xml
@@ -22,7 +69,30 @@ function addPermissionToManifest(androidManifest, permission) {
 	}
 }
 
-function withECSDKManifest(config, { ecsdkApiKey, googleMapsApiKey }) {
+/**
+ * Set or remove a meta-data item, so removing an option from the plugin config also removes it
+ * from the manifest on the next prebuild
+ */
+function setMetaDataItem(mainApplication, name, value, type = "value") {
+	if (value) {
+		AndroidConfig.Manifest.addMetaDataItemToMainApplication(mainApplication, name, value, type);
+	} else {
+		AndroidConfig.Manifest.removeMetaDataItemFromMainApplication(mainApplication, name);
+	}
+}
+
+function withECSDKManifest(
+	config,
+	{
+		ecsdkApiKey,
+		googleMapsApiKey,
+		notificationTapBehavior = "threadList",
+		pushProvider = "ecsdk",
+		notificationChannelImportance = "high",
+		notificationIcon,
+		notificationColor,
+	},
+) {
 	return withAndroidManifest(config, async (config) => {
 		const androidManifest = config.modResults;
 		const mainApplication = AndroidConfig.Manifest.getMainApplicationOrThrow(androidManifest);
@@ -45,8 +115,62 @@ function withECSDKManifest(config, { ecsdkApiKey, googleMapsApiKey }) {
 			);
 		}
 
+		// What EcsdkExpoModule does when the app is opened from a notification
+		AndroidConfig.Manifest.addMetaDataItemToMainApplication(
+			mainApplication,
+			"expo.modules.ecsdkexpo.NOTIFICATION_TAP_BEHAVIOR",
+			notificationTapBehavior,
+		);
+
+		// Notification channel, icon and color for ELERTS alerts (resources written by strings.js
+		// and withECSDKNotificationIcon), read by EcsdkNotifications.kt
+		const icon = notificationIcon ? `@drawable/${NOTIFICATION_ICON_DRAWABLE}` : null;
+		const color = notificationColor ? "@color/ecsdk_notification_color" : null;
+		setMetaDataItem(
+			mainApplication,
+			"expo.modules.ecsdkexpo.NOTIFICATION_CHANNEL_ID",
+			"@string/ecsdk_notification_channel_id",
+		);
+		setMetaDataItem(
+			mainApplication,
+			"expo.modules.ecsdkexpo.NOTIFICATION_CHANNEL_NAME",
+			"@string/ecsdk_notification_channel_name",
+		);
+		setMetaDataItem(
+			mainApplication,
+			"expo.modules.ecsdkexpo.NOTIFICATION_CHANNEL_IMPORTANCE",
+			notificationChannelImportance,
+		);
+		setMetaDataItem(mainApplication, "expo.modules.ecsdkexpo.NOTIFICATION_ICON", icon, "resource");
+		setMetaDataItem(mainApplication, "expo.modules.ecsdkexpo.NOTIFICATION_COLOR", color, "resource");
+
+		// FCM shows notification messages itself while the app is in the background. Point it at the
+		// same channel, icon and color, unless another push provider owns these defaults.
+		const firebaseDefaults = [
+			[
+				"com.google.firebase.messaging.default_notification_channel_id",
+				"@string/ecsdk_notification_channel_id",
+				"value",
+			],
+			["com.google.firebase.messaging.default_notification_icon", icon, "resource"],
+			["com.google.firebase.messaging.default_notification_color", color, "resource"],
+		];
+		for (const [name, value, type] of firebaseDefaults) {
+			const existingItem = (mainApplication["meta-data"] || []).find(
+				(item) => item.$["android:name"] === name,
+			);
+			const isOurs = existingItem?.$[`android:${type}`]?.includes("/ecsdk_notification_");
+			if (pushProvider === "ecsdk" && value) {
+				AndroidConfig.Manifest.addMetaDataItemToMainApplication(mainApplication, name, value, type);
+			} else if (isOurs) {
+				AndroidConfig.Manifest.removeMetaDataItemFromMainApplication(mainApplication, name);
+			}
+		}
+
 		// Add POST_NOTIFICATIONS permission for Android 13+ (API 33+)
-		addPermissionToManifest(androidManifest, "android.permission.POST_NOTIFICATIONS");
+		if (pushProvider !== "none") {
+			addPermissionToManifest(androidManifest, "android.permission.POST_NOTIFICATIONS");
+		}
 
 		// Add Firebase Messaging Service
 		// Check if service array exists
@@ -54,16 +178,26 @@ function withECSDKManifest(config, { ecsdkApiKey, googleMapsApiKey }) {
 			mainApplication.service = [];
 		}
 
-		// Remove existing FCM service if present
+		// Remove existing FCM service if present, including the ones earlier versions registered
+		const serviceClasses = [
+			FIREBASE_MESSAGING_SERVICE_CLASS,
+			...LEGACY_FIREBASE_MESSAGING_SERVICE_CLASSES,
+		];
 		mainApplication.service = mainApplication.service.filter(
-			(service) =>
-				service.$["android:name"] !== "expo.modules.ecsdk.ECSDKFirebaseMessagingService",
+			(service) => !serviceClasses.includes(service.$["android:name"]),
 		);
 
+		// Android delivers MESSAGING_EVENT to a single service, so with another push provider
+		// the app's own service receives it and forwards ELERTS messages to EcsdkPush
+		if (pushProvider !== "ecsdk") {
+			return config;
+		}
+
 		// Add FCM service
+		assertAndroidClassExists(FIREBASE_MESSAGING_SERVICE_CLASS);
 		mainApplication.service.push({
 			$: {
-				"android:name": "expo.modules.ecsdk.ECSDKFirebaseMessagingService",
+				"android:name": FIREBASE_MESSAGING_SERVICE_CLASS,
 				"android:exported": "false",
 			},
 			"intent-filter": [
@@ -83,6 +217,49 @@ function withECSDKManifest(config, { ecsdkApiKey, googleMapsApiKey }) {
 	});
 }
 
+/**
+ * Copy the notificationIcon image to res/drawable
+ * It should be a white-on-transparent PNG, as Android only uses its alpha channel
+ */
+function withECSDKNotificationIcon(config, { notificationIcon }) {
+	return withDangerousMod(config, [
+		"android",
+		async (config) => {
+			if (!notificationIcon) {
+				return config;
+			}
+
+			const sourceFile = path.resolve(config.modRequest.projectRoot, notificationIcon);
+			if (!fs.existsSync(sourceFile)) {
+				throw new Error(
+					`ECSDK Config Plugin Error: 'notificationIcon' file not found at: ${sourceFile}
+
+AndroidManifest.xml refers to @drawable/${NOTIFICATION_ICON_DRAWABLE}, so the build would fail without it.`,
+				);
+			}
+
+			const targetDir = path.join(
+				config.modRequest.platformProjectRoot,
+				"app",
+				"src",
+				"main",
+				"res",
+				"drawable",
+			);
+			fs.mkdirSync(targetDir, { recursive: true });
+			fs.copyFileSync(
+				sourceFile,
+				path.join(targetDir, `${NOTIFICATION_ICON_DRAWABLE}${path.extname(sourceFile)}`),
+			);
+
+			return config;
+		},
+	]);
+}
+
 module.exports = {
+	FIREBASE_MESSAGING_SERVICE_CLASS,
+	assertAndroidClassExists,
 	withECSDKManifest,
+	withECSDKNotificationIcon,
 };
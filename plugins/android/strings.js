@@ -1,11 +1,21 @@
-const { withStringsXml } = require("@expo/config-plugins");
+const { withStringsXml, withAndroidColors, AndroidConfig } = require("@expo/config-plugins");
 
-function withECSDKStrings(config, { productKey, appName, shortDisplayName }) {
+function withECSDKStrings(
+  config,
+  {
+    productName,
+    appName,
+    shortDisplayName,
+    notificationChannelId = "ecsdk_alerts",
+    notificationChannelName = "Alerts",
+    environment,
+  }
+) {
   return withStringsXml(config, async (config) => {
     const strings = config.modResults;
 
     // Add PRODUCT string
-    if (productKey) {
+    if (productName) {
       strings.resources.string = strings.resources.string || [];
 
       // Remove existing if present
@@ -19,7 +29,7 @@ function withECSDKStrings(config, { productKey, appName, shortDisplayName }) {
           name: "PRODUCT",
           translatable: "false",
         },
-        _: productKey,
+        _: productName,
       });
     }
 
@@ -78,10 +88,60 @@ function withECSDKStrings(config, { productKey, appName, shortDisplayName }) {
       _: "com.elerts.ecsdk.LIST_MESSAGE_SERVICE",
     });
 
+    // Add notification channel strings (read through the manifest meta-data)
+    strings.resources.string = strings.resources.string.filter(
+      (item) =>
+        item.$.name !== "ecsdk_notification_channel_id" &&
+        item.$.name !== "ecsdk_notification_channel_name"
+    );
+    strings.resources.string.push(
+      {
+        $: {
+          name: "ecsdk_notification_channel_id",
+          translatable: "false",
+        },
+        _: notificationChannelId,
+      },
+      {
+        $: {
+          name: "ecsdk_notification_channel_name",
+        },
+        _: notificationChannelName,
+      }
+    );
+
+    // Add the selected environment for getEnvironment(), or remove it when unset
+    strings.resources.string = strings.resources.string.filter(
+      (item) => item.$.name !== "ecsdk_environment"
+    );
+    if (environment) {
+      strings.resources.string.push({
+        $: {
+          name: "ecsdk_environment",
+          translatable: "false",
+        },
+        _: environment,
+      });
+    }
+
+    return config;
+  });
+}
+
+/**
+ * Add the notificationColor accent color to colors.xml, or remove it when the option is unset
+ */
+function withECSDKNotificationColor(config, { notificationColor }) {
+  return withAndroidColors(config, (config) => {
+    config.modResults = AndroidConfig.Colors.assignColorValue(config.modResults, {
+      name: "ecsdk_notification_color",
+      value: notificationColor || null,
+    });
     return config;
   });
 }
 
 module.exports = {
   withECSDKStrings,
+  withECSDKNotificationColor,
 };
@@ -0,0 +1,337 @@
+/* eslint-env node */
+const { AndroidConfig, IOSConfig } = require("@expo/config-plugins");
+const plist = require("@expo/plist").default;
+const fs = require("fs");
+const path = require("path");
+
+const { GITHUB_PACKAGES_URL } = require("./android/gradle");
+const { FIREBASE_MESSAGING_SERVICE_CLASS } = require("./android/manifest");
+
+/**
+ * Checks that the config plugin's changes are present in a prebuilt android/ and ios/ tree
+ * Used by `npx ecsdk-expo doctor`, see bin/ecsdk-expo.js
+ */
+
+const MESSAGING_EVENT = "com.google.firebase.MESSAGING_EVENT";
+
+// Info.plist privacy strings the Report A Problem screens need, see withReportInfoPlist
+const PRIVACY_STRINGS = [
+	"NSCameraUsageDescription",
+	"NSLocationAlwaysUsageDescription",
+	"NSLocationWhenInUseUsageDescription",
+	"NSPhotoLibraryUsageDescription",
+	"NSMicrophoneUsageDescription",
+];
+
+const BACKGROUND_MODES = ["fetch", "remote-notification"];
+
+/**
+ * Result of one check
+ * @param {string} title - What is checked, e.g. "AndroidManifest.xml has the ECSDK API key"
+ * @param {string|null} problem - Why it failed and how to fix it, or null if it passed
+ */
+function result(title, problem) {
+	return { title, passed: !problem, problem: problem || null };
+}
+
+function readFileIfExists(filePath) {
+	return filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+}
+
+function findFile(candidates) {
+	return candidates.find((filePath) => fs.existsSync(filePath)) ?? null;
+}
+
+/**
+ * Props of the ecsdk-expo entry in the app config's plugins, or {} if there is none
+ * Only plugins that were added as ["ecsdk-expo", { ... }] have props.
+ */
+function getPluginProps(plugins = []) {
+	for (const plugin of plugins) {
+		const [name, props] = Array.isArray(plugin) ? plugin : [plugin];
+		if (typeof name === "string" && /^ecsdk-expo(\/app\.plugin(\.js)?)?$/.test(name)) {
+			return props ?? {};
+		}
+	}
+	return {};
+}
+
+async function checkAndroid(projectRoot, { pushProvider }) {
+	const results = [];
+
+	const manifestPath = path.join(projectRoot, "android", "app", "src", "main", "AndroidManifest.xml");
+	if (!fs.existsSync(manifestPath)) {
+		return [result("AndroidManifest.xml exists", `${manifestPath} not found.`)];
+	}
+	const manifest = await AndroidConfig.Manifest.readAndroidManifestAsync(manifestPath);
+	const mainApplication = AndroidConfig.Manifest.getMainApplication(manifest);
+	const metaDataValue = (name) =>
+		mainApplication ? AndroidConfig.Manifest.getMainApplicationMetaDataValue(manifest, name) : null;
+
+	results.push(
+		result(
+			"AndroidManifest.xml has the ECSDK API key (com.elerts.ApiKey)",
+			!metaDataValue("com.elerts.ApiKey") && "The meta-data item is missing. Check 'ecsdkApiKey'.",
+		),
+		result(
+			"AndroidManifest.xml has the Google Maps API key (com.google.android.geo.API_KEY)",
+			!metaDataValue("com.google.android.geo.API_KEY") &&
+				"The meta-data item is missing. Check 'googleMapsApiKey'.",
+		),
+	);
+
+	// Android delivers MESSAGING_EVENT to a single service
+	const messagingServices = (mainApplication?.service ?? [])
+		.filter((service) =>
+			(service["intent-filter"] ?? []).some((filter) =>
+				(filter.action ?? []).some((action) => action.$["android:name"] === MESSAGING_EVENT),
+			),
+		)
+		.map((service) => service.$["android:name"]);
+	if (pushProvider === "ecsdk") {
+		results.push(
+			result(
+				`AndroidManifest.xml registers ${FIREBASE_MESSAGING_SERVICE_CLASS} for FCM`,
+				!messagingServices.includes(FIREBASE_MESSAGING_SERVICE_CLASS) &&
+					(messagingServices.length > 0
+						? `${messagingServices.join(", ")} receives ${MESSAGING_EVENT} instead. Use pushProvider "delegate" and forward ELERTS messages to EcsdkPush, or remove it.`
+						: `No service receives ${MESSAGING_EVENT}, so ELERTS push notifications are dropped.`),
+			),
+		);
+	} else if (pushProvider === "delegate") {
+		results.push(
+			result(
+				`AndroidManifest.xml registers a service for ${MESSAGING_EVENT}`,
+				messagingServices.length === 0 &&
+					"With pushProvider \"delegate\" the app's own FirebaseMessagingService must receive FCM messages and forward ELERTS ones to EcsdkPush.",
+			),
+		);
+	}
+
+	const appBuildGradlePath = findFile([
+		path.join(projectRoot, "android", "app", "build.gradle"),
+		path.join(projectRoot, "android", "app", "build.gradle.kts"),
+	]);
+	const appBuildGradle = readFileIfExists(appBuildGradlePath) ?? "";
+
+	// google-services.json is only needed when the ECSDK's own service receives FCM messages
+	const googleServicesPath = path.join(projectRoot, "android", "app", "google-services.json");
+	if (pushProvider === "ecsdk" || fs.existsSync(googleServicesPath)) {
+		const applicationId = appBuildGradle.match(/\bapplicationId\s*=?\s*["']([^"']+)["']/)?.[1];
+		let problem = null;
+		if (!fs.existsSync(googleServicesPath)) {
+			problem = "android/app/google-services.json not found. Check 'googleServicesFile'.";
+		} else {
+			let packageNames = [];
+			try {
+				const googleServices = JSON.parse(fs.readFileSync(googleServicesPath, "utf8"));
+				packageNames = (googleServices.client ?? [])
+					.map((client) => client.client_info?.android_client_info?.package_name)
+					.filter(Boolean);
+			} catch (error) {
+				problem = `android/app/google-services.json is not valid JSON: ${error.message}`;
+			}
+			if (!problem && applicationId && !packageNames.includes(applicationId)) {
+				problem = `It has no client for ${applicationId}${
+					packageNames.length > 0 ? `, only ${packageNames.join(", ")}` : ""
+				}. Add the Android app with this package name in the Firebase console and download the file again.`;
+			}
+		}
+		results.push(
+			result(
+				`google-services.json is present${applicationId ? ` and matches ${applicationId}` : ""}`,
+				problem,
+			),
+			result(
+				"The Google Services Gradle plugin is applied",
+				!appBuildGradle.includes("com.google.gms.google-services") &&
+					"android/app/build.gradle does not apply com.google.gms.google-services, so google-services.json is never read.",
+			),
+		);
+	}
+
+	const repositoryFiles = [
+		path.join(projectRoot, "android", "build.gradle"),
+		path.join(projectRoot, "android", "build.gradle.kts"),
+		path.join(projectRoot, "android", "settings.gradle"),
+		path.join(projectRoot, "android", "settings.gradle.kts"),
+	];
+	results.push(
+		result(
+			"Gradle has the GitHub Packages repository for ECSDK-Android",
+			!repositoryFiles.some((filePath) => readFileIfExists(filePath)?.includes(GITHUB_PACKAGES_URL)) &&
+				`Neither android/build.gradle nor android/settings.gradle has a maven repository for ${GITHUB_PACKAGES_URL}.`,
+		),
+	);
+
+	const elertsuiVersion = appBuildGradle.match(/['"]com\.elerts\.libraries:elertsui:([^'"]*)['"]/)?.[1];
+	results.push(
+		result(
+			`android/app/build.gradle depends on elertsui${elertsuiVersion ? ` ${elertsuiVersion}` : ""}`,
+			!elertsuiVersion && "The com.elerts.libraries:elertsui dependency is missing.",
+		),
+	);
+
+	const desugaringProblems = [];
+	if (!/\b(coreLibraryDesugaringEnabled|isCoreLibraryDesugaringEnabled)\s*=?\s*true\b/.test(appBuildGradle)) {
+		desugaringProblems.push("compileOptions does not enable core library desugaring");
+	}
+	if (!appBuildGradle.includes("desugar_jdk_libs")) {
+		desugaringProblems.push("the desugar_jdk_libs dependency is missing");
+	}
+	results.push(
+		result(
+			"android/app/build.gradle enables core library desugaring",
+			desugaringProblems.length > 0 && `In android/app/build.gradle, ${desugaringProblems.join(" and ")}.`,
+		),
+	);
+
+	let mainApplicationFile = null;
+	try {
+		mainApplicationFile = await AndroidConfig.Paths.getMainApplicationAsync(projectRoot);
+	} catch {
+		// Reported below
+	}
+	const missingWiring = [
+		"import com.elerts.ecsdk.ui.ECUISDK",
+		"ecuisdk = ECUISDK(this)",
+		"ECUISDK.getBaseContext(base)",
+		"ecuisdk.onConfigurationChanged(this)",
+	].filter((line) => !mainApplicationFile?.contents.includes(line));
+	results.push(
+		result(
+			"MainApplication sets up ECUISDK",
+			!mainApplicationFile
+				? "MainApplication.kt not found."
+				: missingWiring.length > 0 &&
+						`${path.basename(mainApplicationFile.path)} is missing: ${missingWiring.join(", ")}.`,
+		),
+	);
+
+	return results;
+}
+
+async function checkIOS(projectRoot) {
+	const results = [];
+
+	let appDelegatePath = null;
+	try {
+		appDelegatePath = IOSConfig.Paths.getAppDelegateFilePath(projectRoot);
+	} catch {
+		return [result("AppDelegate exists", "No AppDelegate found in ios/.")];
+	}
+	const appDelegate = fs.readFileSync(appDelegatePath, "utf8");
+	results.push(
+		result(
+			"AppDelegate initializes ELERTSKit",
+			!appDelegate.includes("ELERTSKit.initializeDataUI(") &&
+				`${path.basename(appDelegatePath)} does not call ELERTSKit.initializeDataUI.`,
+		),
+		result(
+			"AppDelegate passes the APNs token to EKNotificationManager",
+			!appDelegate.includes("EKNotificationManager.default.application(application, didRegisterForRemoteNotificationsWithDeviceToken") &&
+				`${path.basename(appDelegatePath)} has no didRegisterForRemoteNotificationsWithDeviceToken from the plugin, so the ELERTS server never gets the push token.`,
+		),
+	);
+
+	// The Expo template keeps Info.plist next to AppDelegate
+	const infoPlistPath = path.join(path.dirname(appDelegatePath), "Info.plist");
+	if (!fs.existsSync(infoPlistPath)) {
+		results.push(result("Info.plist exists", `${infoPlistPath} not found.`));
+	} else {
+		const infoPlist = plist.parse(fs.readFileSync(infoPlistPath, "utf8"));
+		const backgroundModes = [].concat(infoPlist.UIBackgroundModes ?? []);
+		const missingModes = BACKGROUND_MODES.filter((mode) => !backgroundModes.includes(mode));
+		const missingStrings = PRIVACY_STRINGS.filter((key) => !infoPlist[key]);
+		results.push(
+			result(
+				`UIBackgroundModes includes ${BACKGROUND_MODES.join(" and ")}`,
+				missingModes.length > 0 && `Info.plist is missing: ${missingModes.join(", ")}.`,
+			),
+			result(
+				"Info.plist has the camera, location, photo library and microphone privacy strings",
+				missingStrings.length > 0 && `Info.plist is missing: ${missingStrings.join(", ")}.`,
+			),
+		);
+	}
+
+	const podfile = readFileIfExists(IOSConfig.Paths.getPodfilePath(projectRoot));
+	results.push(
+		result(
+			"Podfile has use_modular_headers!",
+			!podfile
+				? "ios/Podfile not found."
+				: !/^\s*use_modular_headers!/m.test(podfile) &&
+						"Without it, pod install fails to build the Firebase pods as Swift modules.",
+		),
+	);
+
+	return results;
+}
+
+/**
+ * Run every check against the prebuilt native projects
+ *
+ * @param {string} projectRoot - Directory with the android/ and ios/ projects
+ * @param {Object} [options]
+ * @param {Object} [options.props] - The ecsdk-expo plugin props from the app config
+ * @param {("android"|"ios")[]} [options.platforms] - Platforms to check (default: both)
+ * @returns {Promise<{platform: string, title: string, passed: boolean, problem: string|null}[]>}
+ */
+async function runDoctor(projectRoot, { props = {}, platforms = ["android", "ios"] } = {}) {
+	const pushProvider = props.pushProvider ?? "ecsdk";
+	const results = [];
+
+	for (const platform of platforms) {
+		if (!fs.existsSync(path.join(projectRoot, platform))) {
+			results.push({
+				platform,
+				...result(`${platform}/ exists`, `Run \`npx expo prebuild --platform ${platform}\` first.`),
+			});
+			continue;
+		}
+		const platformResults =
+			platform === "android" ? await checkAndroid(projectRoot, { pushProvider }) : await checkIOS(projectRoot);
+		results.push(...platformResults.map((check) => ({ platform, ...check })));
+	}
+
+	return results;
+}
+
+/**
+ * Pass/fail report of runDoctor's results, as printed by the CLI
+ */
+function formatDoctorReport(results) {
+	const lines = [];
+	for (const [platform, label] of [
+		["android", "Android"],
+		["ios", "iOS"],
+	]) {
+		const platformResults = results.filter((check) => check.platform === platform);
+		if (platformResults.length === 0) {
+			continue;
+		}
+		lines.push(label);
+		for (const check of platformResults) {
+			lines.push(`  ${check.passed ? "✓" : "✗"} ${check.title}`);
+			if (!check.passed) {
+				lines.push(`      ${check.problem}`);
+			}
+		}
+		lines.push("");
+	}
+
+	const failed = results.filter((check) => !check.passed).length;
+	lines.push(
+		failed === 0
+			? `All ${results.length} checks passed.`
+			: `${failed} of ${results.length} checks failed. Run \`npx expo prebuild\` again after fixing the plugin props, or see https://github.com/Hosam-hsm/ecsdk-expo#troubleshooting`,
+	);
+	return lines.join("\n");
+}
+
+module.exports = {
+	getPluginProps,
+	runDoctor,
+	formatDoctorReport,
+};
@@ -1,5 +1,174 @@
 const { withAppDelegate } = require("@expo/config-plugins");
 
+// Starts the remote notification handlers injected by every version of the plugin
+const REMOTE_NOTIFICATION_MARKER = "// MARK: - Remote Notifications - injected by ecsdk-expo plugin";
+
+/**
+ * Swift code for the remote notification handlers and EKNotificationManagerDelegate
+ * methods injected into AppDelegate. Besides forwarding to EKNotificationManager,
+ * these post NotificationCenter notifications that EcsdkExpoModule relays to JS as events.
+ */
+const getRemoteNotificationCode = () => `
+  
+  ${REMOTE_NOTIFICATION_MARKER}
+  
+  public func application(_ application: UIApplication, didRegisterForRemoteNotificationsWithDeviceToken deviceToken: Data) {
+    EKNotificationManager.default.application(application, didRegisterForRemoteNotificationsWithDeviceToken: deviceToken)
+    let apnsToken = deviceToken.map { String(format: "%02x", $0) }.joined()
+    NotificationCenter.default.post(name: Notification.Name("EcsdkExpoPushTokenChanged"), object: nil, userInfo: ["token": apnsToken])
+  }
+  
+  public func application(_ application: UIApplication, didReceiveRemoteNotification userInfo: [AnyHashable : Any], fetchCompletionHandler completionHandler: @escaping (UIBackgroundFetchResult) -> Void) {
+    NotificationCenter.default.post(name: Notification.Name("EcsdkExpoNotificationReceived"), object: nil, userInfo: userInfo)
+    EKNotificationManager.default.application(application, didReceiveRemoteNotification: userInfo, fetchCompletionHandler: completionHandler)
+  }
+  
+  public func application(_ application: UIApplication, didFailToRegisterForRemoteNotificationsWithError error: Error) {
+    EKNotificationManager.default.application(application, didFailToRegisterForRemoteNotificationsWithError: error)
+    NotificationCenter.default.post(name: Notification.Name("EcsdkExpoPushRegistrationFailed"), object: nil, userInfo: ["error": error])
+  }
+  
+  // MARK: - EKNotificationManagerDelegate - injected by ecsdk-expo plugin
+  
+  public func getTopViewController() -> UIViewController? {
+    guard let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
+          let rootViewController = windowScene.windows.first?.rootViewController else {
+      return nil
+    }
+    
+    // Get the topmost view controller
+    var topViewController = rootViewController
+    while let presented = topViewController.presentedViewController {
+      topViewController = presented
+    }
+    
+    return topViewController
+  }
+  
+  public func openViewForNotification() {
+    // EcsdkExpo adds the tapped notification's payload, read from its UNNotificationResponse
+    NotificationCenter.default.post(name: Notification.Name("EcsdkExpoNotificationOpened"), object: nil)
+
+    // Set by the config plugin's notificationTapBehavior option
+    let tapBehavior = Bundle.main.object(forInfoDictionaryKey: "ECSDK_NOTIFICATION_TAP_BEHAVIOR") as? String ?? "threadList"
+    if tapBehavior == "emitToJs" {
+      // The app handles the tap from the onNotificationOpened event
+      return
+    }
+
+    // Show the alert list if the user taps on a notification
+    DispatchQueue.main.async { [weak self] in
+      guard let topViewController = self?.getTopViewController() else {
+        return
+      }
+      
+      // Without a client token nothing is shown; the app can react to onNotificationOpened instead
+      guard EKKeychain.getString(.token) != nil else {
+        return
+      }
+      
+      // Create and present the message list view controller
+      let messageListVC = EKUIThreadListViewController()
+      let navController = UINavigationController(rootViewController: messageListVC)
+      topViewController.present(navController, animated: true, completion: nil)
+    }
+  }
+`;
+
+/**
+ * Find where to append methods to the AppDelegate class: the newline before its closing brace.
+ * Since SDK 53, AppDelegate.swift also declares ReactNativeDelegate after AppDelegate,
+ * so the end of the file is not the end of the class.
+ *
+ * @param {string} contents - AppDelegate.swift contents
+ * @returns {number} The index, or -1 if the class is not found
+ */
+const getAppDelegateClassEndIndex = (contents) => {
+	const classMatch = contents.match(/class\s+AppDelegate\b[^{]*\{/);
+	if (!classMatch) {
+		return -1;
+	}
+
+	let braceCount = 0;
+	for (let pos = classMatch.index + classMatch[0].length - 1; pos < contents.length; pos++) {
+		if (contents[pos] === "{") braceCount++;
+		else if (contents[pos] === "}") braceCount--;
+		if (braceCount === 0) {
+			return contents.lastIndexOf("\n", pos);
+		}
+	}
+	return -1;
+};
+
+/**
+ * Find the closing brace of the Swift function declared at the given index
+ *
+ * @param {string} contents - AppDelegate.swift contents
+ * @param {number} start - Index of the function declaration
+ * @returns {number} The index, or -1 if the function does not end
+ */
+const getFunctionEndIndex = (contents, start) => {
+	let braceCount = 0;
+	for (let pos = contents.indexOf("{", start); pos !== -1 && pos < contents.length; pos++) {
+		if (contents[pos] === "{") braceCount++;
+		else if (contents[pos] === "}") braceCount--;
+		if (braceCount === 0) {
+			return pos;
+		}
+	}
+	return -1;
+};
+
+/**
+ * Add the remote notification handlers to AppDelegate, or replace the ones injected by an
+ * earlier plugin version, which do not post the notifications EcsdkExpoModule relays.
+ * Throws if AppDelegate implements the handlers itself, since they cannot be merged.
+ *
+ * @param {string} contents - AppDelegate.swift contents
+ * @returns {string} The updated contents
+ */
+const injectRemoteNotificationCode = (contents) => {
+	const remoteNotificationCode = getRemoteNotificationCode();
+	const markerIndex = contents.indexOf(REMOTE_NOTIFICATION_MARKER);
+
+	if (markerIndex !== -1) {
+		// The injected block runs from the marker to the end of openViewForNotification
+		const openViewIndex = contents.indexOf("func openViewForNotification()", markerIndex);
+		const blockEndIndex = openViewIndex === -1 ? -1 : getFunctionEndIndex(contents, openViewIndex);
+		if (blockEndIndex === -1) {
+			throw new Error(
+				`ECSDK Config Plugin Error: The remote notification handlers that ecsdk-expo injected into AppDelegate.swift were edited and cannot be updated.
+
+Run "npx expo prebuild --clean" to regenerate the iOS project.`,
+			);
+		}
+		const blockStartIndex = contents.lastIndexOf("\n", markerIndex) + 1;
+		const block = remoteNotificationCode.slice(remoteNotificationCode.indexOf("  " + REMOTE_NOTIFICATION_MARKER)).trimEnd();
+		return contents.slice(0, blockStartIndex) + block + contents.slice(blockEndIndex + 1);
+	}
+
+	if (contents.includes("didRegisterForRemoteNotificationsWithDeviceToken")) {
+		throw new Error(
+			`ECSDK Config Plugin Error: AppDelegate.swift already implements the remote notification handlers, so ecsdk-expo cannot inject its own.
+
+Remove them, or run "npx expo prebuild --clean" if they come from an earlier version of another plugin.`,
+		);
+	}
+
+	// Find the end of the AppDelegate class (before the closing brace)
+	const classEndIndex = getAppDelegateClassEndIndex(contents);
+	if (classEndIndex !== -1) {
+		return contents.slice(0, classEndIndex) + remoteNotificationCode + contents.slice(classEndIndex);
+	}
+
+	// If we can't find the class end, try to add it before the last closing brace
+	const lastBraceIndex = contents.lastIndexOf("\n}");
+	if (lastBraceIndex !== -1) {
+		return contents.slice(0, lastBraceIndex) + remoteNotificationCode + contents.slice(lastBraceIndex);
+	}
+	return contents;
+};
+
 /**
  * Config plugin to inject ELERTSKit initialization into AppDelegate
  * This ensures initialization happens in willFinishLaunchingWithOptions on the main thread
@@ -33,6 +202,22 @@ Please ensure 'ecsdkApiKey' is provided in the plugin configuration.`,
 
 		// Check if we've already added the initialization
 		if (appDelegate.contents.includes("ELERTSKit.initializeDataUI")) {
+			// Keep the keys current, e.g. after switching environments without --clean
+			appDelegate.contents = appDelegate.contents.replace(
+				/var ecsdkApiKey = "[^"\n]*"/,
+				() => `var ecsdkApiKey = "${apiKey}"`,
+			);
+			appDelegate.contents = appDelegate.contents.replace(
+				/ELERTSKit\.productKey = "[^"\n]*"|if let productKey = Bundle\.main\.object\(forInfoDictionaryKey: "ECSDK_PRODUCT_KEY"\) as\? String \{\s*ELERTSKit\.productKey = productKey\s*\}/,
+				() =>
+					productKey
+						? `ELERTSKit.productKey = "${productKey}"`
+						: `if let productKey = Bundle.main.object(forInfoDictionaryKey: "ECSDK_PRODUCT_KEY") as? String {
+            ELERTSKit.productKey = productKey
+        }`,
+			);
+			// An AppDelegate prebuilt by an older plugin version has older handlers
+			appDelegate.contents = injectRemoteNotificationCode(appDelegate.contents);
 			return config;
 		}
 
@@ -153,7 +338,7 @@ Please ensure 'ecsdkApiKey' is provided in the plugin configuration.`,
 		// Add EKNotificationManagerDelegate to class declaration if not present
 		if (!appDelegate.contents.includes("EKNotificationManagerDelegate")) {
 			// Find the class declaration line - match "class AppDelegate :" followed by the base class and optional protocols
-			const classPattern = /(public\s+class\s+AppDelegate\s*:\s*[^{,]+)/;
+			const classPattern = /(public\s+class\s+AppDelegate\s*:\s*[^{,]*[^{,\s])/;
 			const classMatch = appDelegate.contents.match(classPattern);
 			if (classMatch) {
 				// Replace with the same pattern but add the protocol
@@ -168,11 +353,9 @@ Please ensure 'ecsdkApiKey' is provided in the plugin configuration.`,
 		// Add background fetch handler if it doesn't exist
 		if (!appDelegate.contents.includes("performFetchWithCompletionHandler")) {
 			// Find the end of the AppDelegate class (before the closing brace)
-			// Look for the last method or property before the closing brace
-			const classEndPattern = /(\n\s*\}\s*$)/;
-			const classEndMatch = appDelegate.contents.match(classEndPattern);
+			const classEndIndex = getAppDelegateClassEndIndex(appDelegate.contents);
 
-			if (classEndMatch) {
+			if (classEndIndex !== -1) {
 				const backgroundFetchCode = `
   
   // Background fetch handler - injected by ecsdk-expo plugin
@@ -183,7 +366,7 @@ Please ensure 'ecsdkApiKey' is provided in the plugin configuration.`,
 `;
 
 				// Insert before the closing brace
-				const insertIndex = classEndMatch.index;
+				const insertIndex = classEndIndex;
 				appDelegate.contents =
 					appDelegate.contents.slice(0, insertIndex) +
 					backgroundFetchCode +
@@ -208,149 +391,7 @@ Please ensure 'ecsdkApiKey' is provided in the plugin configuration.`,
 			}
 		}
 
-		// Add remote notification handlers if they don't exist
-		if (!appDelegate.contents.includes("didRegisterForRemoteNotificationsWithDeviceToken")) {
-			// Find the end of the AppDelegate class (before the closing brace)
-			const classEndPattern = /(\n\s*\}\s*$)/;
-			const classEndMatch = appDelegate.contents.match(classEndPattern);
-
-			if (classEndMatch) {
-				const remoteNotificationCode = `
-  
-  // MARK: - Remote Notifications - injected by ecsdk-expo plugin
-  
-  public func application(_ application: UIApplication, didRegisterForRemoteNotificationsWithDeviceToken deviceToken: Data) {
-    EKNotificationManager.default.application(application, didRegisterForRemoteNotificationsWithDeviceToken: deviceToken)
-  }
-  
-  public func application(_ application: UIApplication, didReceiveRemoteNotification userInfo: [AnyHashable : Any], fetchCompletionHandler completionHandler: @escaping (UIBackgroundFetchResult) -> Void) {
-    EKNotificationManager.default.application(application, didReceiveRemoteNotification: userInfo, fetchCompletionHandler: completionHandler)
-  }
-  
-  public func application(_ application: UIApplication, didFailToRegisterForRemoteNotificationsWithError error: Error) {
-    EKNotificationManager.default.application(application, didFailToRegisterForRemoteNotificationsWithError: error)
-  }
-  
-  // MARK: - EKNotificationManagerDelegate - injected by ecsdk-expo plugin
-  
-  public func getTopViewController() -> UIViewController? {
-    guard let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
-          let rootViewController = windowScene.windows.first?.rootViewController else {
-      return nil
-    }
-    
-    // Get the topmost view controller
-    var topViewController = rootViewController
-    while let presented = topViewController.presentedViewController {
-      topViewController = presented
-    }
-    
-    return topViewController
-  }
-  
-  public func openViewForNotification() {
-    // Show the alert list if the user taps on a notification
-    DispatchQueue.main.async { [weak self] in
-      guard let topViewController = self?.getTopViewController() else {
-        return
-      }
-      
-      // Check if client token is available
-      guard EKKeychain.getString(.token) != nil else {
-        let alert = UIAlertController(
-          title: "Not Logged In",
-          message: "Please login first before viewing messages.",
-          preferredStyle: .alert
-        )
-        alert.addAction(UIAlertAction(title: "OK", style: .default))
-        topViewController.present(alert, animated: true)
-        return
-      }
-      
-      // Create and present the message list view controller
-      let messageListVC = EKUIThreadListViewController()
-      let navController = UINavigationController(rootViewController: messageListVC)
-      topViewController.present(navController, animated: true, completion: nil)
-    }
-  }
-`;
-
-				// Insert before the closing brace
-				const insertIndex = classEndMatch.index;
-				appDelegate.contents =
-					appDelegate.contents.slice(0, insertIndex) +
-					remoteNotificationCode +
-					appDelegate.contents.slice(insertIndex);
-			} else {
-				// If we can't find the class end, try to add it before the last closing brace
-				const lastBraceIndex = appDelegate.contents.lastIndexOf("\n}");
-				if (lastBraceIndex !== -1) {
-					const remoteNotificationCode = `
-  
-  // MARK: - Remote Notifications - injected by ecsdk-expo plugin
-  
-  public func application(_ application: UIApplication, didRegisterForRemoteNotificationsWithDeviceToken deviceToken: Data) {
-    EKNotificationManager.default.application(application, didRegisterForRemoteNotificationsWithDeviceToken: deviceToken)
-  }
-  
-  public func application(_ application: UIApplication, didReceiveRemoteNotification userInfo: [AnyHashable : Any], fetchCompletionHandler completionHandler: @escaping (UIBackgroundFetchResult) -> Void) {
-    EKNotificationManager.default.application(application, didReceiveRemoteNotification: userInfo, fetchCompletionHandler: completionHandler)
-  }
-  
-  public func application(_ application: UIApplication, didFailToRegisterForRemoteNotificationsWithError error: Error) {
-    EKNotificationManager.default.application(application, didFailToRegisterForRemoteNotificationsWithError: error)
-  }
-  
-  // MARK: - EKNotificationManagerDelegate - injected by ecsdk-expo plugin
-  
-  public func getTopViewController() -> UIViewController? {
-    guard let windowScene = UIApplication.shared.connectedScenes.first as? UIWindowScene,
-          let rootViewController = windowScene.windows.first?.rootViewController else {
-      return nil
-    }
-    
-    // Get the topmost view controller
-    var topViewController = rootViewController
-    while let presented = topViewController.presentedViewController {
-      topViewController = presented
-    }
-    
-    return topViewController
-  }
-  
-  public func openViewForNotification() {
-    // Show the alert list if the user taps on a notification
-    DispatchQueue.main.async { [weak self] in
-      guard let topViewController = self?.getTopViewController() else {
-        return
-      }
-      
-      // Check if client token is available
-      guard EKKeychain.getString(.token) != nil else {
-        let alert = UIAlertController(
-          title: "Not Logged In",
-          message: "Please login first before viewing messages.",
-          preferredStyle: .alert
-        )
-        alert.addAction(UIAlertAction(title: "OK", style: .default))
-        topViewController.present(alert, animated: true)
-        return
-      }
-      
-      // Create and present the message list view controller
-      let messageListVC = EKUIThreadListViewController()
-      let navController = UINavigationController(rootViewController: messageListVC)
-      topViewController.present(navController, animated: true, completion: nil)
-    }
-  }
-`;
-					appDelegate.contents =
-						appDelegate.contents.slice(0, lastBraceIndex) +
-						remoteNotificationCode +
-						appDelegate.contents.slice(lastBraceIndex);
-				}
-			}
-		}
+		appDelegate.contents = injectRemoteNotificationCode(appDelegate.contents);
 
 		return config;
 	});
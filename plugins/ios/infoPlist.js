@@ -59,7 +59,63 @@ const withReportBackgroundModes = (config) => {
 	});
 };
 
+/**
+ * Config plugin to enable syncing the unread message count to the app icon badge
+ * EcsdkExpoModule reads ECSDK_SYNC_BADGE_COUNT from Info.plist
+ *
+ * @param {Object} options - Plugin options
+ * @param {boolean} options.syncBadgeCount - Whether to sync the badge (default: false)
+ */
+const withBadgeCountSync = (config, { syncBadgeCount = false } = {}) => {
+	return withInfoPlist(config, (config) => {
+		if (syncBadgeCount) {
+			config.modResults.ECSDK_SYNC_BADGE_COUNT = true;
+		} else {
+			delete config.modResults.ECSDK_SYNC_BADGE_COUNT;
+		}
+
+		return config;
+	});
+};
+
+/**
+ * Config plugin to set what the injected openViewForNotification does when a notification is tapped
+ * The AppDelegate code reads ECSDK_NOTIFICATION_TAP_BEHAVIOR from Info.plist
+ *
+ * @param {Object} options - Plugin options
+ * @param {string} options.notificationTapBehavior - "threadList" or "emitToJs" (default: "threadList")
+ */
+const withNotificationTapBehavior = (config, { notificationTapBehavior = "threadList" } = {}) => {
+	return withInfoPlist(config, (config) => {
+		config.modResults.ECSDK_NOTIFICATION_TAP_BEHAVIOR = notificationTapBehavior;
+
+		return config;
+	});
+};
+
+/**
+ * Config plugin to record which of the plugin's environments the build uses
+ * EcsdkExpoModule's getEnvironment() reads ECSDK_ENVIRONMENT from Info.plist
+ *
+ * @param {Object} options - Plugin options
+ * @param {string} [options.environment] - Name of the selected environment, removed when unset
+ */
+const withEnvironmentInfoPlist = (config, { environment } = {}) => {
+	return withInfoPlist(config, (config) => {
+		if (environment) {
+			config.modResults.ECSDK_ENVIRONMENT = environment;
+		} else {
+			delete config.modResults.ECSDK_ENVIRONMENT;
+		}
+
+		return config;
+	});
+};
+
 module.exports = {
 	withReportInfoPlist,
 	withReportBackgroundModes,
+	withBadgeCountSync,
+	withNotificationTapBehavior,
+	withEnvironmentInfoPlist,
 };
@@ -1,19 +1,54 @@
-const { withPodfile, withDangerousMod } = require("@expo/config-plugins");
+const { withPodfile, withPodfileProperties, withDangerousMod } = require("@expo/config-plugins");
 const fs = require("fs");
 const path = require("path");
 
+/**
+ * Warn that Xcode cannot download ELERTSKit-iOS yet, for credentialStrategy "localProperties",
+ * which keeps the token out of the home directory
+ */
+function warnIfNetrcHasNoGitHubEntry() {
+	const os = require("os");
+	const netrcPath = path.join(os.homedir(), ".netrc");
+	const netrcContent = fs.existsSync(netrcPath) ? fs.readFileSync(netrcPath, "utf8") : "";
+	if (/machine\s+github\.com/.test(netrcContent)) {
+		return;
+	}
+	console.warn(
+		`⚠️  credentialStrategy "localProperties" leaves ${netrcPath} unchanged, and it has no credentials for github.com.`,
+	);
+	console.warn(
+		"   Xcode reads SPM credentials from there. To add them, run: GPR_USER=<user> GPR_API_KEY=<token> sh ios/ecsdk-netrc.sh",
+	);
+}
+
 /**
  * Config plugin to set up GitHub authentication for SPM packages
  *
- * For local builds: Creates/updates .netrc file in user's home directory
- * For EAS builds: Creates a build script that sets up authentication during build
+ * For local builds: Adds a github.com entry to the .netrc file in user's home directory,
+ * which is where Xcode reads SPM credentials from. An existing entry is never replaced.
+ * For EAS builds: The builder's home directory is not the one prebuild ran in, so
+ * withSPMNetrcScript sets up authentication during pod install instead
+ * Only the default credentialStrategy "gradleProperties" writes to ~/.netrc. iOS has no
+ * project-scoped place for SPM credentials, so with any other strategy nothing is written and
+ * the machine running Xcode must already have credentials for github.com.
  *
  * This is required for iOS to download private Swift packages from GitHub Packages
  */
-const withSPMGitHubAuth = (config, { githubUsername, githubToken }) => {
+const withSPMGitHubAuth = (
+	config,
+	{ githubUsername, githubToken, credentialStrategy = "gradleProperties" },
+) => {
 	return withDangerousMod(config, [
 		"ios",
 		async (config) => {
+			if (credentialStrategy === "localProperties") {
+				warnIfNetrcHasNoGitHubEntry();
+				return config;
+			}
+			if (credentialStrategy !== "gradleProperties") {
+				return config;
+			}
+
 			// Get GitHub credentials from plugin params or environment variables
 			const gprUser = githubUsername || process.env.GPR_USER;
 			const gprKey = githubToken || process.env.GPR_API_KEY;
@@ -26,7 +61,7 @@ const withSPMGitHubAuth = (config, { githubUsername, githubToken }) => {
 				return config;
 			}
 
-			// For local builds, create/update .netrc in home directory
+			// For local builds, add the entry to .netrc in home directory
 			// Note: For EAS builds, you need to configure authentication via build hooks in eas.json
 			// See plugin documentation for EAS build configuration
 			try {
@@ -40,23 +75,34 @@ const withSPMGitHubAuth = (config, { githubUsername, githubToken }) => {
 				}
 
 				// Check if GitHub Packages entry already exists
-				const githubPackagesPattern = /machine\s+github\.com[\s\S]*?(?=machine|\n\n|$)/;
+				const githubPackagesPattern = /machine\s+github\.com[\s\S]*?(?=machine|\n\n|$)\n*/;
 				const existingEntry = netrcContent.match(githubPackagesPattern);
 
-				// Create/update GitHub Packages entry
+				if (existingEntry) {
+					// The developer's own entry may be used for other repositories, so it is left alone
+					const login = existingEntry[0].match(/login\s+(\S+)/);
+					const password = existingEntry[0].match(/password\s+(\S+)/);
+					if (login?.[1] !== gprUser || password?.[1] !== gprKey) {
+						console.warn(
+							`⚠️  ${netrcPath} already has credentials for github.com, which ecsdk-expo leaves unchanged.`,
+						);
+						console.warn(
+							"   If Xcode cannot download ELERTSKit-iOS, make sure that entry can read the ELERTS packages.",
+						);
+					}
+					return config;
+				}
+
+				// Append new GitHub Packages entry
 				const githubEntry = `machine github.com
   login ${gprUser}
   password ${gprKey}
 
 `;
-
-				if (existingEntry) {
-					// Replace existing entry
-					netrcContent = netrcContent.replace(githubPackagesPattern, githubEntry);
-				} else {
-					// Append new entry
-					netrcContent += githubEntry;
+				if (netrcContent && !netrcContent.endsWith("\n")) {
+					netrcContent += "\n";
 				}
+				netrcContent += githubEntry;
 
 				// Set proper permissions (read/write for owner only)
 				fs.writeFileSync(netrcPath, netrcContent, {
@@ -77,6 +123,96 @@ const withSPMGitHubAuth = (config, { githubUsername, githubToken }) => {
 	]);
 };
 
+const NETRC_SCRIPT_NAME = "ecsdk-netrc.sh";
+const NETRC_PODFILE_MARKER = "# Sets up GitHub credentials for ELERTSKit-iOS - added by ecsdk-expo";
+
+const NETRC_SCRIPT = `#!/bin/sh
+# Generated by ecsdk-expo. Adds GitHub credentials for ELERTSKit-iOS to ~/.netrc from GPR_USER and
+# GPR_API_KEY, so Xcode can download the Swift packages. With credentialStrategy "gradleProperties"
+# the Podfile runs it on EAS and other CI builds; run it yourself on any other machine that builds the app.
+# An existing github.com entry is left unchanged.
+set -e
+
+if [ -z "$GPR_USER" ] || [ -z "$GPR_API_KEY" ]; then
+  echo "ecsdk-netrc: GPR_USER and GPR_API_KEY are not set, so ~/.netrc was not changed" >&2
+  exit 0
+fi
+
+NETRC="$HOME/.netrc"
+if [ -f "$NETRC" ] && grep -Eq '(^|[[:space:]])machine[[:space:]]+github\\.com([[:space:]]|$)' "$NETRC"; then
+  echo "ecsdk-netrc: $NETRC already has credentials for github.com"
+  exit 0
+fi
+
+umask 077
+{
+  # Start on a new line if the file does not end with one
+  if [ -s "$NETRC" ] && [ -n "$(tail -c 1 "$NETRC")" ]; then
+    echo
+  fi
+  printf 'machine github.com\\n  login %s\\n  password %s\\n\\n' "$GPR_USER" "$GPR_API_KEY"
+} >> "$NETRC"
+chmod 600 "$NETRC"
+echo "ecsdk-netrc: Added credentials for github.com to $NETRC"
+`;
+
+const NETRC_PODFILE_CODE = `${NETRC_PODFILE_MARKER}
+# Xcode resolves the Swift packages after pod install, so ~/.netrc is ready in time
+if ENV['EAS_BUILD'] == 'true' || ENV['CI']
+  system('sh', File.join(__dir__, '${NETRC_SCRIPT_NAME}')) ||
+    Pod::UI.warn('${NETRC_SCRIPT_NAME} could not add GitHub credentials for ELERTSKit-iOS to ~/.netrc')
+end
+
+`;
+
+/**
+ * Config plugin to set up GitHub authentication for SPM packages on EAS and other CI builds
+ *
+ * Writes ios/ecsdk-netrc.sh, which adds a github.com entry to ~/.netrc from the GPR_USER and
+ * GPR_API_KEY environment variables. Like withSPMGitHubAuth, it only writes to ~/.netrc with the
+ * default credentialStrategy "gradleProperties": then the Podfile runs the script when EAS_BUILD
+ * or CI is set, so cloud builds need no prebuildCommand or build hook of their own. With the other
+ * strategies the script is only run by hand, and the Podfile code from an earlier prebuild is removed.
+ */
+const withSPMNetrcScript = (config, { credentialStrategy = "gradleProperties" } = {}) => {
+	config = withDangerousMod(config, [
+		"ios",
+		async (config) => {
+			const scriptPath = path.join(config.modRequest.platformProjectRoot, NETRC_SCRIPT_NAME);
+			fs.writeFileSync(scriptPath, NETRC_SCRIPT, { mode: 0o755 });
+			return config;
+		},
+	]);
+
+	return withPodfile(config, (config) => {
+		const podfile = config.modResults;
+		if (credentialStrategy !== "gradleProperties") {
+			const markerIndex = podfile.contents.indexOf(NETRC_PODFILE_MARKER);
+			if (markerIndex !== -1) {
+				const endIndex = podfile.contents.indexOf("\nend\n", markerIndex) + "\nend\n".length;
+				podfile.contents =
+					podfile.contents.slice(0, markerIndex) +
+					podfile.contents.slice(endIndex).replace(/^\n/, "");
+			}
+			return config;
+		}
+		if (podfile.contents.includes(NETRC_PODFILE_MARKER)) {
+			return config;
+		}
+
+		// Before `platform :ios`, after the requires and podfile_properties at the top
+		const platformMatch = podfile.contents.match(/^platform :ios/m);
+		const insertPosition = platformMatch ? platformMatch.index : 0;
+		const before = podfile.contents.slice(0, insertPosition);
+		podfile.contents =
+			before +
+			(before === "" || before.endsWith("\n\n") ? "" : "\n") +
+			NETRC_PODFILE_CODE +
+			podfile.contents.slice(insertPosition);
+		return config;
+	});
+};
+
 /**
  * Config plugin to add SPM frameworks to the main app target
  * This automatically adds ELERTSKitCore.framework and ELERTSKitUI.framework and configures framework search paths
@@ -367,7 +503,28 @@ SCRIPT
 	});
 };
 
+/**
+ * Config plugin to pin the ELERTSKit-iOS version
+ * EcsdkExpo.podspec reads ecsdk.iosSdkVersion from Podfile.properties.json and falls back
+ * to the default in sdk-versions.json, so the property is removed when no version is given
+ *
+ * @param {Object} options - Plugin options
+ * @param {string} [options.iosSdkVersion] - Exact ELERTSKit-iOS version
+ */
+const withSPMVersion = (config, { iosSdkVersion }) => {
+	return withPodfileProperties(config, (config) => {
+		if (iosSdkVersion) {
+			config.modResults["ecsdk.iosSdkVersion"] = iosSdkVersion;
+		} else {
+			delete config.modResults["ecsdk.iosSdkVersion"];
+		}
+		return config;
+	});
+};
+
 module.exports = {
 	withSPMGitHubAuth,
+	withSPMNetrcScript,
 	withSPMFrameworks,
+	withSPMVersion,
 };
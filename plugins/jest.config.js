@@ -0,0 +1 @@
+module.exports = require("expo-module-scripts/jest-preset-plugin");
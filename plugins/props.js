@@ -0,0 +1,385 @@
+/**
+ * Schema and validation for the ecsdk-expo config plugin props
+ * The TypeScript types for these props are in app.plugin.d.ts; keep the two in sync.
+ */
+
+const SDK_VERSION_PATTERN = /^\d+\.\d+\.\d+/;
+
+/**
+ * Every prop the plugin accepts
+ * - `required(props)`: whether the prop must be set, given the other props
+ * - `secret`: only required during prebuild, when EAS environment variables are available
+ * - `env`: the environment variable app.config.js usually reads the value from
+ * - `envDefault`: the plugin reads `env` itself when the prop is not set
+ */
+const PROPS_SCHEMA = {
+	ecsdkApiKey: {
+		type: "string",
+		secret: true,
+		required: () => true,
+		env: "ECSDK_API_KEY",
+		hint: "Get your API key from ELERTS.",
+	},
+	googleMapsApiKey: {
+		type: "string",
+		secret: true,
+		required: () => true,
+		env: "GOOGLE_MAPS_API_KEY",
+		hint: "The ECSDK requires it for map functionality on Android. Get one at https://console.cloud.google.com/",
+	},
+	googleServicesFile: {
+		type: "string",
+		secret: true,
+		required: (props) => props.pushProvider === "ecsdk",
+		requiredWith: 'pushProvider "ecsdk"',
+		env: "GOOGLE_SERVICES_FILE",
+		hint: "Download google-services.json from https://console.firebase.google.com/ → Project Settings → Your Android App.",
+	},
+	productName: { type: "string", default: "PROVIDED BY ELERTS" },
+	appName: { type: "string" },
+	shortDisplayName: { type: "string" },
+	productKey: { type: "string" },
+	githubUsername: {
+		type: "string",
+		secret: true,
+		required: (props) => writesCredentials(props.credentialStrategy),
+		requiredWith: 'credentialStrategy "gradleProperties" or "localProperties"',
+		env: "GPR_USER",
+		envDefault: true,
+		hint: "The ECSDK libraries are hosted on GitHub Packages.",
+	},
+	githubToken: {
+		type: "string",
+		secret: true,
+		required: (props) => writesCredentials(props.credentialStrategy),
+		requiredWith: 'credentialStrategy "gradleProperties" or "localProperties"',
+		env: "GPR_API_KEY",
+		envDefault: true,
+		hint: "Create a token with 'read:packages' permission at https://github.com/settings/tokens",
+	},
+	credentialStrategy: {
+		type: "string",
+		enum: ["gradleProperties", "localProperties", "environment", "command"],
+		default: "gradleProperties",
+	},
+	credentialCommand: {
+		type: "string",
+		nonEmpty: true,
+		required: (props) => props.credentialStrategy === "command",
+		requiredWith: 'credentialStrategy "command"',
+		hint: "It prints the GitHub credentials like a git credential helper: username=... and password=... lines.",
+	},
+	syncBadgeCount: { type: "boolean", default: false },
+	notificationTapBehavior: {
+		type: "string",
+		enum: ["threadList", "emitToJs"],
+		default: "threadList",
+	},
+	pushProvider: {
+		type: "string",
+		enum: ["ecsdk", "delegate", "none"],
+		default: "ecsdk",
+	},
+	notificationChannelId: { type: "string", nonEmpty: true, default: "ecsdk_alerts" },
+	notificationChannelName: { type: "string", nonEmpty: true, default: "Alerts" },
+	notificationChannelImportance: {
+		type: "string",
+		enum: ["min", "low", "default", "high", "max"],
+		default: "high",
+	},
+	notificationIcon: { type: "string" },
+	notificationColor: {
+		type: "string",
+		pattern: /^#([0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/,
+		patternDescription: 'a color such as "#D32F2F" or "#FFD32F2F"',
+	},
+	androidSdkVersion: {
+		type: "string",
+		pattern: SDK_VERSION_PATTERN,
+		patternDescription: 'a version string such as "1.2.3"',
+	},
+	iosSdkVersion: {
+		type: "string",
+		pattern: SDK_VERSION_PATTERN,
+		patternDescription: 'a version string such as "1.2.3"',
+	},
+	environments: { type: "object", patternDescription: "an object of environment names to props" },
+	environment: {
+		type: "string",
+		secret: true,
+		required: (props) => props.environments !== undefined,
+		requiredWith: "'environments'",
+		env: "ECSDK_ENVIRONMENT",
+		envDefault: true,
+		hint: "It selects which of the 'environments' the build uses.",
+	},
+};
+
+// Props an entry of 'environments' can set, replacing the top-level ones
+const ENVIRONMENT_PROPS = ["ecsdkApiKey", "productKey", "googleServicesFile"];
+
+function writesCredentials(credentialStrategy) {
+	return credentialStrategy === "gradleProperties" || credentialStrategy === "localProperties";
+}
+
+/**
+ * Whether the plugin runs as part of prebuild, when environment variables from the EAS dashboard
+ * are available. During config evaluation (e.g. `npx expo config`) they may not be yet.
+ */
+function isPrebuildPhase() {
+	return Boolean(
+		process.env.EXPO_PREBUILD === "1" ||
+			process.argv.includes("prebuild") ||
+			// EAS sets this during prebuild
+			process.env.EAS_BUILD_WORKINGDIR,
+	);
+}
+
+/**
+ * Number of single-character edits between two strings
+ */
+function editDistance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+			);
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/**
+ * The known prop an unknown one was most likely meant to be, or null if none is close
+ */
+function suggestProp(name) {
+	let suggestion = null;
+	let bestDistance = Infinity;
+	for (const known of Object.keys(PROPS_SCHEMA)) {
+		// Differences in case only, e.g. ecsdkAPIKey, count as the closest match
+		const distance =
+			known.toLowerCase() === name.toLowerCase() ? 0 : editDistance(name.toLowerCase(), known.toLowerCase());
+		if (distance < bestDistance) {
+			suggestion = known;
+			bestDistance = distance;
+		}
+	}
+	return bestDistance <= Math.max(2, Math.floor(name.length / 3)) ? suggestion : null;
+}
+
+/**
+ * Props with the schema's defaults, or environment variables, for the ones that are not set
+ */
+function applyDefaults(props) {
+	const withDefaults = { ...props };
+	for (const [name, spec] of Object.entries(PROPS_SCHEMA)) {
+		if (withDefaults[name] !== undefined) {
+			continue;
+		}
+		if (spec.envDefault && process.env[spec.env]) {
+			withDefaults[name] = process.env[spec.env];
+		} else if (spec.default !== undefined) {
+			withDefaults[name] = spec.default;
+		}
+	}
+	return withDefaults;
+}
+
+/**
+ * Props with the selected environment's props applied, or unchanged if it is not one of 'environments'
+ */
+function applyEnvironment(props) {
+	const selected = props.environments?.[props.environment];
+	if (typeof selected !== "object" || selected === null) {
+		return props;
+	}
+	const withEnvironment = { ...props };
+	for (const name of ENVIRONMENT_PROPS) {
+		if (selected[name] !== undefined) {
+			withEnvironment[name] = selected[name];
+		}
+	}
+	return withEnvironment;
+}
+
+/**
+ * Problems with the 'environments' map and the selected 'environment'
+ * A QA build must never fall back to another environment's API key, so the key can only be set per
+ * environment, and no two environments can share one.
+ */
+function getEnvironmentProblems(props) {
+	const { environments } = props;
+	if (environments === undefined) {
+		return props.environment === undefined
+			? []
+			: ["'environment' is set, but there are no 'environments' to select from."];
+	}
+	// ECSDK_ENVIRONMENT only counts when there are environments to select from
+	const { environment } = applyDefaults(props);
+	if (typeof environments !== "object" || environments === null || Array.isArray(environments)) {
+		// Reported as a type problem
+		return [];
+	}
+
+	const problems = [];
+	const names = Object.keys(environments);
+	if (names.length === 0) {
+		problems.push("'environments' must have at least one environment.");
+	}
+	if (props.ecsdkApiKey !== undefined) {
+		problems.push(
+			"'ecsdkApiKey' can't be set together with 'environments'. Set it in each environment instead, so no build falls back to another environment's key.",
+		);
+	}
+	if (typeof environment === "string" && environment !== "" && names.length > 0 && !names.includes(environment)) {
+		problems.push(
+			`'environment' must be one of ${names.map((name) => `"${name}"`).join(", ")}, got: ${JSON.stringify(environment)}`,
+		);
+	}
+
+	const environmentsByApiKey = new Map();
+	for (const [name, entry] of Object.entries(environments)) {
+		if (typeof entry !== "object" || entry === null || Array.isArray(entry)) {
+			problems.push(`'environments.${name}' must be an object, got: ${JSON.stringify(entry)}`);
+			continue;
+		}
+		for (const [key, value] of Object.entries(entry)) {
+			if (!ENVIRONMENT_PROPS.includes(key)) {
+				problems.push(
+					`Unknown prop 'environments.${name}.${key}'. Environments can set ${ENVIRONMENT_PROPS.map((prop) => `'${prop}'`).join(", ")}.`,
+				);
+			} else if (value !== undefined && typeof value !== "string") {
+				problems.push(`'environments.${name}.${key}' must be a string, got: ${JSON.stringify(value)}`);
+			}
+		}
+		if (typeof entry.ecsdkApiKey === "string" && entry.ecsdkApiKey !== "") {
+			const sameKey = environmentsByApiKey.get(entry.ecsdkApiKey);
+			if (sameKey) {
+				problems.push(
+					`'environments.${name}.ecsdkApiKey' is the same as 'environments.${sameKey}.ecsdkApiKey'. Each environment needs the API key of its own ELERTS organization.`,
+				);
+			} else {
+				environmentsByApiKey.set(entry.ecsdkApiKey, name);
+			}
+		}
+	}
+
+	return problems;
+}
+
+/**
+ * Every problem with the props, as one sentence each
+ *
+ * @param {Object} props - Plugin props
+ * @param {Object} [options]
+ * @param {boolean} [options.requireSecrets] - Report missing API keys, credentials and google-services.json
+ * @returns {string[]} Problems, empty if the props are valid
+ */
+function getPropsProblems(props, { requireSecrets = isPrebuildPhase() } = {}) {
+	if (typeof props !== "object" || props === null || Array.isArray(props)) {
+		return [`The plugin props must be an object, got: ${JSON.stringify(props)}`];
+	}
+
+	const problems = [];
+	const resolved = applyEnvironment(applyDefaults(props));
+
+	for (const name of Object.keys(props)) {
+		if (!(name in PROPS_SCHEMA)) {
+			const suggestion = suggestProp(name);
+			problems.push(
+				suggestion
+					? `Unknown prop '${name}'. Did you mean '${suggestion}'?`
+					: `Unknown prop '${name}'.`,
+			);
+		}
+	}
+
+	for (const [name, spec] of Object.entries(PROPS_SCHEMA)) {
+		const value = resolved[name];
+
+		if (value === undefined || value === "") {
+			if (spec.required?.(resolved) && (requireSecrets || !spec.secret)) {
+				// With 'environments', the selected environment sets these, and a missing selection is reported instead
+				if (resolved.environments !== undefined && ENVIRONMENT_PROPS.includes(name)) {
+					if (resolved.environments?.[resolved.environment]) {
+						problems.push(
+							`'environments.${resolved.environment}.${name}' is required.${spec.hint ? ` ${spec.hint}` : ""}`,
+						);
+					}
+					continue;
+				}
+				const requirement = spec.requiredWith
+					? `'${name}' is required with ${spec.requiredWith}.`
+					: `'${name}' is required.`;
+				let source = "";
+				if (spec.envDefault) {
+					source = ` Set the ${spec.env} environment variable, or pass it in app.config.js.`;
+				} else if (spec.env) {
+					source = ` Set it from the ${spec.env} environment variable in app.config.js.`;
+				}
+				problems.push(`${requirement}${source}${spec.hint ? ` ${spec.hint}` : ""}`);
+				continue;
+			}
+			if (value === undefined) {
+				continue;
+			}
+		}
+
+		if (typeof value !== spec.type || (spec.type === "object" && (value === null || Array.isArray(value)))) {
+			const expected = spec.patternDescription ?? `a ${spec.type}`;
+			problems.push(`'${name}' must be ${expected}, got: ${JSON.stringify(value)}`);
+		} else if (spec.enum && !spec.enum.includes(value)) {
+			problems.push(
+				`'${name}' must be one of ${spec.enum.map((option) => `"${option}"`).join(", ")}, got: ${JSON.stringify(value)}`,
+			);
+		} else if (spec.nonEmpty && value.trim() === "") {
+			problems.push(`'${name}' must be a non-empty string, got: ${JSON.stringify(value)}`);
+		} else if (spec.pattern && !spec.pattern.test(value)) {
+			problems.push(`'${name}' must be ${spec.patternDescription}, got: ${JSON.stringify(value)}`);
+		}
+	}
+
+	problems.push(...getEnvironmentProblems(props));
+
+	return problems;
+}
+
+/**
+ * Validate the plugin props, reporting every problem at once
+ * The plugin calls this itself; app.config.js can call it to fail early with the same checks.
+ *
+ * @param {Object} props - Plugin props
+ * @param {Object} [options]
+ * @param {boolean} [options.requireSecrets] - Report missing API keys, credentials and google-services.json (default: only during prebuild)
+ * @returns {Object} The props with defaults and the selected environment's props applied
+ * @throws {Error} Listing every problem, with the list in `error.problems`
+ */
+function validateECSDKConfig(props = {}, options = {}) {
+	const problems = getPropsProblems(props, options);
+	if (problems.length > 0) {
+		const error = new Error(
+			`ECSDK Config Plugin Error: The ecsdk-expo plugin props have ${
+				problems.length === 1 ? "1 problem" : `${problems.length} problems`
+			}:
+
+${problems.map((problem) => `  - ${problem}`).join("\n")}
+
+See https://github.com/Hosam-hsm/ecsdk-expo#configuration for every prop.`,
+		);
+		error.problems = problems;
+		throw error;
+	}
+	return applyEnvironment(applyDefaults(props));
+}
+
+module.exports = {
+	PROPS_SCHEMA,
+	isPrebuildPhase,
+	getPropsProblems,
+	validateECSDKConfig,
+};
@@ -0,0 +1,76 @@
+/**
+ * Stable error codes reported by the native module.
+ * Every promise rejection and thrown error carries one of these in its `code` property.
+ */
+export enum EcsdkErrorCode {
+	/** No ELERTS client token on the device. Call `createClient` or `login` first. */
+	NotLoggedIn = "ECSDK_NOT_LOGGED_IN",
+	/** The operation needs an active organization. Call `setActiveOrganization` first. */
+	NoActiveOrganization = "ECSDK_NO_ACTIVE_ORGANIZATION",
+	/** The requested organization does not exist or is not available to this client. */
+	OrganizationNotFound = "ECSDK_ORGANIZATION_NOT_FOUND",
+	/** The client token is empty or was rejected by the ELERTS server. */
+	InvalidToken = "ECSDK_INVALID_TOKEN",
+	/** The ELERTS server could not be reached. Safe to retry. */
+	NetworkError = "ECSDK_NETWORK_ERROR",
+	/** The ELERTS server returned an error or an unexpected response. */
+	ServerError = "ECSDK_SERVER_ERROR",
+	/** An argument passed from JavaScript was invalid. */
+	InvalidArgument = "ECSDK_INVALID_ARGUMENT",
+	/** The native UI or context is not available (e.g. no current activity or view controller). */
+	Unavailable = "ECSDK_UNAVAILABLE",
+	/** Registering for or reading the push token failed. */
+	PushRegistrationFailed = "ECSDK_PUSH_REGISTRATION_FAILED",
+	/** Any other failure. */
+	Unknown = "ECSDK_UNKNOWN",
+}
+
+const errorCodes = new Set<string>(Object.values(EcsdkErrorCode));
+
+/**
+ * Error raised by ecsdk-expo. Use `code` to branch on the failure instead of the message.
+ */
+export class EcsdkError extends Error {
+	readonly code: EcsdkErrorCode;
+	readonly cause?: unknown;
+
+	constructor(code: EcsdkErrorCode, message: string, cause?: unknown) {
+		super(message);
+		this.name = "EcsdkError";
+		this.code = code;
+		this.cause = cause;
+	}
+
+	/**
+	 * Converts an error caught from a module call into an EcsdkError.
+	 * Native rejections keep their code; anything else becomes `EcsdkErrorCode.Unknown`.
+	 */
+	static from(error: unknown): EcsdkError {
+		if (error instanceof EcsdkError) {
+			return error;
+		}
+		const code = (error as { code?: unknown } | null)?.code;
+		const message =
+			(error as { message?: unknown } | null)?.message ??
+			(typeof error === "string" ? error : "Unknown ECSDK error");
+		return new EcsdkError(
+			typeof code === "string" && errorCodes.has(code)
+				? (code as EcsdkErrorCode)
+				: EcsdkErrorCode.Unknown,
+			String(message),
+			error,
+		);
+	}
+}
+
+/**
+ * Returns true if `error` was raised by ecsdk-expo, optionally with the given code.
+ * Works on raw native rejections as well as EcsdkError instances.
+ */
+export function isEcsdkError(error: unknown, code?: EcsdkErrorCode): boolean {
+	const errorCode = (error as { code?: unknown } | null)?.code;
+	if (typeof errorCode !== "string" || !errorCodes.has(errorCode)) {
+		return false;
+	}
+	return code === undefined || errorCode === code;
+}
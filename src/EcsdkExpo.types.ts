@@ -1,8 +1,12 @@
-// Events type for the module (currently empty, but can be extended for event listeners)
+// Events emitted by the native module. Subscribe with `EcsdkExpoModule.addListener`
+// or the typed helpers exported from `./EcsdkExpoEvents`.
 export type EcsdkExpoModuleEvents = {
-	// Add event types here if the module emits events
-	// Example:
-	// onChange: (params: { value: string }) => void;
+	onNotificationReceived: (event: NotificationReceivedEvent) => void;
+	onNotificationOpened: (event: NotificationOpenedEvent) => void;
+	onPushTokenChanged: (event: PushTokenChangedEvent) => void;
+	onSessionChanged: (event: SessionChangedEvent) => void;
+	onActiveOrganizationChanged: (event: ActiveOrganizationChangedEvent) => void;
+	onUnreadCountChanged: (event: UnreadCountChangedEvent) => void;
 };
 
 // ============================================================================
@@ -26,3 +30,111 @@ export type Organization = {
 export type ClientTokenResponse = {
 	token: string;
 };
+
+// ============================================================================
+// Screen Results
+// ============================================================================
+
+/**
+ * Resolved by the native screen presenters once the screen has been closed.
+ */
+export type ScreenResult = {
+	dismissed: true;
+};
+
+export type ReportScreenResult = ScreenResult & {
+	/**
+	 * Whether the user submitted a report, or null if the SDK does not report the outcome.
+	 * Currently always null: EKUIReportViewController does not report it, and ECReportActivity's
+	 * result codes are not documented.
+	 */
+	reportSubmitted: boolean | null;
+};
+
+export type ProfileScreenResult = ScreenResult & {
+	/** Whether the user saved their profile; null on Android, where ECProfileActivity's result codes are not documented */
+	profileSaved: boolean | null;
+};
+
+// ============================================================================
+// Event Payloads
+// ============================================================================
+
+/**
+ * Raw push payload as delivered by the platform.
+ * iOS: the APNS `userInfo` dictionary. Android: the FCM `RemoteMessage.data` map.
+ */
+export type NotificationData = Record<string, unknown>;
+
+export type NotificationReceivedEvent = {
+	data: NotificationData;
+};
+
+export type NotificationOpenedEvent = {
+	/** Payload of the tapped notification */
+	data: NotificationData;
+};
+
+/**
+ * What happens natively when the user taps an ELERTS notification
+ * (the `notificationTapBehavior` config plugin option).
+ * On iOS onNotificationOpened is emitted in every case; on Android only for taps on the
+ * notification the module posts with emitToJs.
+ * - threadList: present the message thread list (default). On Android, ECMessageListService's
+ *   notification opens it.
+ * - emitToJs: present nothing; the app handles onNotificationOpened
+ */
+export type NotificationTapBehavior = "threadList" | "emitToJs";
+
+/**
+ * Whether the app may show notifications
+ * - granted: notifications are shown
+ * - denied: the user declined or turned notifications off in Settings
+ * - undetermined: the user has not been asked yet
+ * - provisional: iOS only; notifications are delivered quietly to Notification Center
+ */
+export type NotificationPermissionStatus = "granted" | "denied" | "undetermined" | "provisional";
+
+export type NotificationPermissionOptions = {
+	/** iOS only: deliver notifications quietly without asking the user (default: false) */
+	provisional?: boolean;
+};
+
+/**
+ * Device push token: the APNS token on iOS, the FCM token on Android
+ */
+export type PushToken = {
+	type: "apns" | "fcm";
+	token: string;
+};
+
+/**
+ * Importance of the Android notification channel ELERTS alerts are posted to
+ * (the `notificationChannelImportance` config plugin option, default "high")
+ */
+export type NotificationChannelImportance = "min" | "low" | "default" | "high" | "max";
+
+export type NotificationChannelOptions = {
+	/** Channel name shown in the app's notification settings */
+	name?: string;
+	/** Only used when the channel is created; Android keeps the importance of an existing channel */
+	importance?: NotificationChannelImportance;
+	/** Channel description shown in the app's notification settings */
+	description?: string;
+};
+
+export type PushTokenChangedEvent = PushToken;
+
+export type SessionChangedEvent = {
+	loggedIn: boolean;
+	clientToken: string | null;
+};
+
+export type ActiveOrganizationChangedEvent = {
+	organization: Organization | null;
+};
+
+export type UnreadCountChangedEvent = {
+	/** ELERTS notifications received since the message list was last opened */
+	count: number;
+};
@@ -0,0 +1,75 @@
+import {
+	ActiveOrganizationChangedEvent,
+	NotificationOpenedEvent,
+	NotificationReceivedEvent,
+	PushTokenChangedEvent,
+	SessionChangedEvent,
+	UnreadCountChangedEvent,
+} from "./EcsdkExpo.types";
+import EcsdkExpoModule from "./EcsdkExpoModule";
+
+/**
+ * A listener subscription; call `remove()` to stop listening
+ * Derived from `addListener` because `expo` does not re-export expo-modules-core's EventSubscription
+ */
+export type EventSubscription = ReturnType<typeof EcsdkExpoModule.addListener>;
+
+/**
+ * Listen for ELERTS push notifications received while the app is running
+ * iOS: Fired from the injected didReceiveRemoteNotification handler
+ * Android: Fired from ECSDKFirebaseMessagingService.onMessageReceived
+ */
+export function addNotificationReceivedListener(
+	listener: (event: NotificationReceivedEvent) => void,
+): EventSubscription {
+	return EcsdkExpoModule.addListener("onNotificationReceived", listener);
+}
+
+/**
+ * Listen for the user tapping an ELERTS notification
+ * iOS: Fired from the injected EKNotificationManagerDelegate.openViewForNotification
+ * Android: Fired when the app is opened from an ELERTS notification
+ * Taps that happen before the first listener is added (e.g. a cold start) are delivered to it
+ */
+export function addNotificationOpenedListener(
+	listener: (event: NotificationOpenedEvent) => void,
+): EventSubscription {
+	return EcsdkExpoModule.addListener("onNotificationOpened", listener);
+}
+
+/**
+ * Listen for APNS (iOS) or FCM (Android) push token changes
+ */
+export function addPushTokenChangedListener(
+	listener: (event: PushTokenChangedEvent) => void,
+): EventSubscription {
+	return EcsdkExpoModule.addListener("onPushTokenChanged", listener);
+}
+
+/**
+ * Listen for login, logout and new client registration
+ */
+export function addSessionChangedListener(
+	listener: (event: SessionChangedEvent) => void,
+): EventSubscription {
+	return EcsdkExpoModule.addListener("onSessionChanged", listener);
+}
+
+/**
+ * Listen for changes to the active organization
+ */
+export function addActiveOrganizationChangedListener(
+	listener: (event: ActiveOrganizationChangedEvent) => void,
+): EventSubscription {
+	return EcsdkExpoModule.addListener("onActiveOrganizationChanged", listener);
+}
+
+/**
+ * Listen for changes to the unread count (see getUnreadCount)
+ * Fires when an ELERTS notification arrives, when the message list opens, and on logout
+ */
+export function addUnreadCountChangedListener(
+	listener: (event: UnreadCountChangedEvent) => void,
+): EventSubscription {
+	return EcsdkExpoModule.addListener("onUnreadCountChanged", listener);
+}
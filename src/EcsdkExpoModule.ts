@@ -1,12 +1,20 @@
-import { NativeModule, requireNativeModule } from "expo";
+import { NativeModule, requireNativeModule, requireOptionalNativeModule } from "expo";
+
 import {
 	ClientTokenResponse,
 	EcsdkExpoModuleEvents,
+	NotificationChannelOptions,
+	NotificationPermissionOptions,
+	NotificationPermissionStatus,
 	Organization,
+	ProfileScreenResult,
+	PushToken,
+	ReportScreenResult,
+	ScreenResult,
 	UserProfile,
 } from "./EcsdkExpo.types";
 
-interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
+export declare class EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 	// ============================================================================
 	// Common Methods (Both iOS and Android)
 	// ============================================================================
@@ -17,10 +25,18 @@ interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 	 */
 	getClientToken(): string | null;
 
+	/**
+	 * Get the environment the app was built for, selected from the config plugin's `environments`
+	 * @returns The environment name, or null if the plugin has no environments
+	 */
+	getEnvironment(): string | null;
+
 	/**
 	 * Create a new client account
 	 * @param profile - User profile information
 	 * @returns Promise that resolves with the client token
+	 * @throws EcsdkErrorCode.NetworkError
+	 * @throws EcsdkErrorCode.ServerError
 	 */
 	createClient(profile: UserProfile): Promise<ClientTokenResponse>;
 
@@ -28,12 +44,17 @@ interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 	 * Update client information
 	 * @param profile - Updated user profile information
 	 * @returns Promise that resolves when update is complete
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 * @throws EcsdkErrorCode.InvalidToken
+	 * @throws EcsdkErrorCode.NetworkError
+	 * @throws EcsdkErrorCode.ServerError
 	 */
 	updateClientInfo(profile: UserProfile): Promise<void>;
 
 	/**
 	 * Login with an existing client token
 	 * @param clientToken - The client token to login with
+	 * @throws EcsdkErrorCode.InvalidToken
 	 */
 	login(clientToken: string): void;
 
@@ -45,6 +66,7 @@ interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 	/**
 	 * Get the currently active organization
 	 * @returns Promise that resolves with the active organization
+	 * @throws EcsdkErrorCode.Unavailable
 	 */
 	getActiveOrganization(): Promise<Organization>;
 
@@ -52,6 +74,10 @@ interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 	 * Set the active organization
 	 * @param organizationId - The ID of the organization to set as active
 	 * @returns Promise that resolves when the organization is set
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 * @throws EcsdkErrorCode.OrganizationNotFound
+	 * @throws EcsdkErrorCode.NetworkError
+	 * @throws EcsdkErrorCode.ServerError
 	 */
 	setActiveOrganization(organizationId: number): Promise<{
 		success: boolean;
@@ -61,6 +87,10 @@ interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 	 * List organizations (joined or available)
 	 * @param joined - If true, returns joined organizations; if false, returns available organizations
 	 * @returns Promise that resolves with an array of organizations
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 * @throws EcsdkErrorCode.InvalidToken
+	 * @throws EcsdkErrorCode.NetworkError
+	 * @throws EcsdkErrorCode.ServerError
 	 */
 	listOrganizations(joined: boolean): Promise<Organization[]>;
 
@@ -68,6 +98,11 @@ interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 	 * Join an organization
 	 * @param organizationId - The ID of the organization to join
 	 * @returns Promise that resolves when the organization is joined
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 * @throws EcsdkErrorCode.OrganizationNotFound
+	 * @throws EcsdkErrorCode.InvalidToken
+	 * @throws EcsdkErrorCode.NetworkError
+	 * @throws EcsdkErrorCode.ServerError
 	 */
 	joinOrganization(organizationId: number): Promise<{
 		success: boolean;
@@ -83,27 +118,38 @@ interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 	 * Present the report screen
 	 * iOS: Presents EKUIReportViewController
 	 * Android: Shows ECReportActivity
+	 * @returns Promise that resolves when the screen is closed
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 * @throws EcsdkErrorCode.NoActiveOrganization
+	 * @throws EcsdkErrorCode.Unavailable
 	 */
-	presentReportScreen(): void;
+	presentReportScreen(): Promise<ReportScreenResult>;
 
 	/**
 	 * Present the organization management screen
 	 * iOS: Presents EKUIOrganizationViewController
 	 * Android: Shows ECAddOrgActivity
+	 * @returns Promise that resolves when the screen is closed
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 * @throws EcsdkErrorCode.Unavailable
 	 */
-	presentOrganizationScreen(): void;
+	presentOrganizationScreen(): Promise<ScreenResult>;
 
 	/**
 	 * Present the profile update screen
 	 * iOS: Presents EKUIProfileViewController with custom buttons
 	 * Android: Shows ECProfileActivity
+	 * @returns Promise that resolves when the screen is closed
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 * @throws EcsdkErrorCode.Unavailable
 	 */
-	presentProfileScreen(): void;
+	presentProfileScreen(): Promise<ProfileScreenResult>;
 
 	/**
 	 * Show call police prompt dialog
 	 * iOS: Uses EKCallHelper.showCallAlert
 	 * Android: Uses ECPhoneHelper.showCallPrompt
+	 * @throws EcsdkErrorCode.Unavailable
 	 */
 	showCallPrompt(): void;
 
@@ -111,15 +157,86 @@ interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 	 * Show the message list screen
 	 * iOS: Presents EKUIThreadListViewController
 	 * Android: Shows ECUISDK.getMessageListClass() activity
+	 * @returns Promise that resolves when the screen is closed
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 * @throws EcsdkErrorCode.Unavailable
+	 */
+	showMessageList(): Promise<ScreenResult>;
+
+	/**
+	 * Get the number of ELERTS notifications received since the message list was last opened
+	 * The module keeps this count on the device because the SDKs have no unread count API.
+	 * Changes are also reported through the onUnreadCountChanged event
+	 * @returns Promise that resolves with the unread count
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 */
+	getUnreadCount(): Promise<number>;
+
+	/**
+	 * Get whether the app may show notifications, without asking the user
+	 * Android 12 and below have no runtime permission, so the status is "granted" unless the user
+	 * turned notifications off in Settings
+	 * @returns Promise that resolves with the permission status
+	 */
+	getNotificationPermissionStatus(): Promise<NotificationPermissionStatus>;
+
+	/**
+	 * Ask the user to allow notifications, if they have not been asked yet
+	 * iOS: Requests alert, badge and sound authorization
+	 * Android 13+: Requests the POST_NOTIFICATIONS permission
+	 * @param options - Permission options
+	 * @returns Promise that resolves with the permission status after the user answers
 	 */
-	showMessageList(): void;
+	requestNotificationPermission(
+		options?: NotificationPermissionOptions,
+	): Promise<NotificationPermissionStatus>;
 
 	/**
 	 * Register for remote notifications
 	 * iOS: Calls EKNotificationManager.registerForRemoteNotification() (APNS)
-	 * Android: Triggers FCM token refresh (FCM auto-registers, but this refreshes the token)
+	 * Android: Gets the FCM token (FCM registers when Firebase initializes)
+	 * Does not ask for permission; call requestNotificationPermission() first
+	 * @returns Promise that resolves with the APNS (iOS) or FCM (Android) token
+	 * @throws EcsdkErrorCode.PushRegistrationFailed - also on iOS if APNS issues no token within 30 seconds
+	 */
+	registerForRemoteNotifications(): Promise<string>;
+
+	/**
+	 * Get the device push token
+	 * iOS: The last APNS token, registering with APNS if there is none yet
+	 * Android: The current FCM token
+	 * Does not ask for permission
+	 * @returns Promise that resolves with the token and its type ("apns" or "fcm")
+	 * @throws EcsdkErrorCode.PushRegistrationFailed - also on iOS if APNS issues no token within 30 seconds
 	 */
-	registerForRemoteNotifications(): void;
+	getPushToken(): Promise<PushToken>;
+
+	/**
+	 * Send the device push token to the ELERTS server again
+	 * Tokens are sent automatically when they are issued; use this after restoring a session
+	 * or when the server lost the registration
+	 * @returns Promise that resolves with the token that was sent
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 * @throws EcsdkErrorCode.PushRegistrationFailed - iOS: no APNS token yet
+	 * @throws EcsdkErrorCode.NetworkError
+	 * @throws EcsdkErrorCode.ServerError
+	 */
+	syncPushTokenWithServer(): Promise<PushToken>;
+
+	/**
+	 * Create or update the Android notification channel the module's own notifications are posted to
+	 * (notificationTapBehavior "emitToJs", and FCM's background notifications with pushProvider "ecsdk").
+	 * ECMessageListService's notifications keep the SDK's own channel.
+	 * The channel is created with the config plugin's notificationChannel* options when the app
+	 * starts; use this to change its name or description at runtime, e.g. after a language change.
+	 * iOS has no notification channels; resolves with a null channelId.
+	 * @param options - Overrides for the channel settings from the config plugin
+	 * @returns Promise that resolves with the channel ID
+	 * @throws EcsdkErrorCode.InvalidArgument
+	 */
+	configureNotificationChannel(options?: NotificationChannelOptions): Promise<{
+		channelId: string | null;
+	}>;
 
 	// ============================================================================
 	// Android-Only Methods
@@ -127,16 +244,22 @@ interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 
 	/**
 	 * Get the current FCM token
+	 * @deprecated Use getPushToken(), which works on both platforms
 	 * @platform android
 	 * @returns Promise that resolves with the FCM token
+	 * @throws EcsdkErrorCode.PushRegistrationFailed
 	 */
 	getFCMToken(): Promise<string>;
 
 	/**
 	 * Update FCM token with ELERTS server
+	 * @deprecated Use syncPushTokenWithServer(), which works on both platforms
 	 * @platform android
 	 * @param fcmToken - The FCM token to update (optional, will use current token if not provided)
 	 * @returns Promise that resolves when update is complete
+	 * @throws EcsdkErrorCode.NotLoggedIn
+	 * @throws EcsdkErrorCode.NetworkError
+	 * @throws EcsdkErrorCode.ServerError
 	 */
 	updateFCMToken(fcmToken?: string): Promise<{
 		success: boolean;
@@ -148,7 +271,36 @@ interface EcsdkExpoModuleMethods extends NativeModule<EcsdkExpoModuleEvents> {
 	 * @returns The stored FCM token, or null if not stored
 	 */
 	getStoredFCMToken(): string | null;
+
+	/**
+	 * Handle an FCM message received by the app's own push stack (pushProvider "delegate")
+	 * Use EcsdkPush.handleRemoteMessage instead of calling this directly
+	 * @platform android
+	 * @param data - The FCM `RemoteMessage.data` map
+	 */
+	handleRemoteMessage(data: Record<string, string>): Promise<void>;
+
+	/**
+	 * Save an FCM token received by the app's own push stack and send it to the ELERTS server
+	 * Use EcsdkPush.onNewToken instead of calling this directly
+	 * @platform android
+	 * @param token - The new FCM token
+	 * @throws EcsdkErrorCode.InvalidArgument
+	 */
+	handlePushToken(token: string): Promise<void>;
 }
 
-// This call loads the native module object from the JSI.
-export default requireNativeModule<EcsdkExpoModuleMethods>("EcsdkExpo");
+// Jest runs without the native runtime, so tests get the in-memory mock (see ecsdk-expo/testing).
+// Everywhere else a missing native module is still an error.
+const loadModule = (): EcsdkExpoModuleMethods => {
+	const nativeModule = requireOptionalNativeModule<EcsdkExpoModuleMethods>("EcsdkExpo");
+	// NODE_ENV comes first so production bundles fold the branch away and never include the mock
+	if (process.env.NODE_ENV === "test" && !nativeModule) {
+		const { MockEcsdkExpoModule } = require("./mock") as typeof import("./mock");
+		return new MockEcsdkExpoModule();
+	}
+	// This call loads the native module object from the JSI.
+	return nativeModule ?? requireNativeModule<EcsdkExpoModuleMethods>("EcsdkExpo");
+};
+
+export default loadModule();
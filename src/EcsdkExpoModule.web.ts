@@ -0,0 +1,7 @@
+import { registerWebModule } from "expo";
+
+import { MockEcsdkExpoModule } from "./mock";
+
+// The ELERTS SDKs have no web version. On web the module is backed by the in-memory mock,
+// configurable with setMockBackend() from ecsdk-expo/testing, so web previews and Storybook can render.
+export default registerWebModule(MockEcsdkExpoModule, "EcsdkExpo");
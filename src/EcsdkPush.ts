@@ -0,0 +1,38 @@
+import { NotificationData } from "./EcsdkExpo.types";
+import EcsdkExpoModule from "./EcsdkExpoModule";
+
+/**
+ * Entry point for apps whose own push stack (expo-notifications, @react-native-firebase/messaging, ...)
+ * receives FCM messages, set up with the config plugin's `pushProvider: "delegate"`.
+ * Forward ELERTS messages and every new FCM token here so the SDK can fetch alerts and keep the
+ * ELERTS server's token up to date. Neither SDK documents a payload key that marks ELERTS messages,
+ * so every message forwarded here is handled as an ELERTS alert; leave out the app's own messages.
+ *
+ * On iOS, ELERTSKit receives APNS notifications through the AppDelegate, so these do nothing.
+ */
+export const EcsdkPush = {
+	/**
+	 * Handle an FCM message: fetch the alert and post its notification, and emit onNotificationReceived
+	 * @param data - The FCM message data, e.g. `remoteMessage.data` from @react-native-firebase/messaging
+	 */
+	handleRemoteMessage(data: NotificationData | null | undefined): Promise<void> {
+		// FCM data values are always strings
+		const stringData = Object.fromEntries(
+			Object.entries(data ?? {}).map(([key, value]) => [
+				key,
+				typeof value === "string" ? value : JSON.stringify(value),
+			]),
+		);
+		return EcsdkExpoModule.handleRemoteMessage(stringData);
+	},
+
+	/**
+	 * Save a new FCM token and send it to the ELERTS server if a client is logged in,
+	 * and emit onPushTokenChanged
+	 * @param token - The new FCM token
+	 * @throws EcsdkErrorCode.InvalidArgument
+	 */
+	onNewToken(token: string): Promise<void> {
+		return EcsdkExpoModule.handlePushToken(token);
+	},
+};
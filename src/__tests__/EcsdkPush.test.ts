@@ -0,0 +1,57 @@
+import EcsdkExpoModule, { EcsdkPush } from "..";
+import { getMockBackend, resetMockBackend } from "../testing";
+
+// Not a real ELERTS payload: neither SDK documents one, and no sample has been captured yet.
+// EcsdkPush does not look at the keys, so any FCM data shape exercises the same path.
+const ARBITRARY_PAYLOAD = {
+	title: "Suspicious package",
+	body: "Reported at Central Station",
+	count: 3,
+	extra: { platform: 2 },
+};
+
+beforeEach(() => {
+	resetMockBackend();
+});
+
+describe("EcsdkPush", () => {
+	it("handles every forwarded message as an ELERTS alert", async () => {
+		const listener = jest.fn();
+		const subscription = EcsdkExpoModule.addListener("onNotificationReceived", listener);
+
+		await EcsdkPush.handleRemoteMessage(ARBITRARY_PAYLOAD);
+		await EcsdkPush.handleRemoteMessage({});
+		subscription.remove();
+
+		expect(listener).toHaveBeenCalledTimes(2);
+		expect(getMockBackend().unreadCount).toBe(2);
+	});
+
+	it("forwards the data with string values, like FCM data", async () => {
+		const listener = jest.fn();
+		const subscription = EcsdkExpoModule.addListener("onNotificationReceived", listener);
+
+		await EcsdkPush.handleRemoteMessage(ARBITRARY_PAYLOAD);
+		subscription.remove();
+
+		expect(listener).toHaveBeenCalledWith({
+			data: {
+				title: "Suspicious package",
+				body: "Reported at Central Station",
+				count: "3",
+				extra: '{"platform":2}',
+			},
+		});
+	});
+
+	it("saves a new token and emits onPushTokenChanged", async () => {
+		const listener = jest.fn();
+		const subscription = EcsdkExpoModule.addListener("onPushTokenChanged", listener);
+
+		await EcsdkPush.onNewToken("fcm-token");
+		subscription.remove();
+
+		expect(EcsdkExpoModule.getStoredFCMToken()).toBe("fcm-token");
+		expect(listener).toHaveBeenCalledWith({ type: "fcm", token: "fcm-token" });
+	});
+});
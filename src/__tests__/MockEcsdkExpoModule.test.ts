@@ -0,0 +1,99 @@
+import EcsdkExpoModule, { EcsdkError, EcsdkErrorCode } from "..";
+import * as ecsdk from "..";
+import { getMockBackend, resetMockBackend, setMockBackend } from "../testing";
+
+const METRO = { organizationId: 7, name: "Metro", description: "" };
+
+beforeEach(() => {
+	resetMockBackend();
+});
+
+describe("MockEcsdkExpoModule", () => {
+	it("is the default export when the native module is not installed", () => {
+		expect(EcsdkExpoModule.constructor.name).toBe("MockEcsdkExpoModule");
+	});
+
+	it("keeps the mock backend helpers out of the main entry point", () => {
+		expect(ecsdk).not.toHaveProperty("setMockBackend");
+		expect(ecsdk).not.toHaveProperty("getMockBackend");
+		expect(ecsdk).not.toHaveProperty("resetMockBackend");
+	});
+
+	it("rejects with NotLoggedIn without a client token", async () => {
+		const error = await EcsdkExpoModule.listOrganizations(true).catch((e) => e);
+
+		expect(error).toBeInstanceOf(EcsdkError);
+		expect(error.code).toBe(EcsdkErrorCode.NotLoggedIn);
+	});
+
+	it("serves the organizations seeded with setMockBackend", async () => {
+		setMockBackend({
+			clientToken: "test-token",
+			organizations: [METRO],
+			joinedOrganizationIds: [7],
+			activeOrganizationId: 7,
+		});
+
+		await expect(EcsdkExpoModule.listOrganizations(true)).resolves.toEqual([METRO]);
+		await expect(EcsdkExpoModule.getActiveOrganization()).resolves.toEqual(METRO);
+		expect(EcsdkExpoModule.getAvailableOrganizations()).toEqual([METRO]);
+	});
+
+	it("joins an organization, makes it active and emits onActiveOrganizationChanged", async () => {
+		setMockBackend({ clientToken: "test-token", organizations: [METRO] });
+		const listener = jest.fn();
+		const subscription = EcsdkExpoModule.addListener("onActiveOrganizationChanged", listener);
+
+		await EcsdkExpoModule.joinOrganization(7);
+		subscription.remove();
+
+		expect(getMockBackend()).toMatchObject({ joinedOrganizationIds: [7], activeOrganizationId: 7 });
+		expect(listener).toHaveBeenCalledWith({ organization: METRO });
+	});
+
+	it("emits onSessionChanged on login and logout", () => {
+		const listener = jest.fn();
+		const subscription = EcsdkExpoModule.addListener("onSessionChanged", listener);
+
+		EcsdkExpoModule.login("test-token");
+		EcsdkExpoModule.logout();
+		subscription.remove();
+
+		expect(listener.mock.calls).toEqual([
+			[{ loggedIn: true, clientToken: "test-token" }],
+			[{ loggedIn: false, clientToken: null }],
+		]);
+		expect(EcsdkExpoModule.getClientToken()).toBeNull();
+	});
+
+	it("counts ELERTS pushes as unread until the message list opens", async () => {
+		setMockBackend({ clientToken: "test-token" });
+		const listener = jest.fn();
+		const subscription = EcsdkExpoModule.addListener("onUnreadCountChanged", listener);
+
+		await EcsdkExpoModule.handleRemoteMessage({ title: "First alert" });
+		await EcsdkExpoModule.handleRemoteMessage({ title: "Second alert" });
+		await expect(EcsdkExpoModule.getUnreadCount()).resolves.toBe(2);
+
+		await EcsdkExpoModule.showMessageList();
+		subscription.remove();
+
+		await expect(EcsdkExpoModule.getUnreadCount()).resolves.toBe(0);
+		expect(listener.mock.calls).toEqual([[{ count: 1 }], [{ count: 2 }], [{ count: 0 }]]);
+	});
+
+	it("resets the unread count on logout", async () => {
+		setMockBackend({ clientToken: "test-token", unreadCount: 3 });
+
+		EcsdkExpoModule.logout();
+
+		expect(getMockBackend().unreadCount).toBe(0);
+	});
+
+	it("records presented screens and resolves them as dismissed", async () => {
+		setMockBackend({ clientToken: "test-token" });
+
+		await expect(EcsdkExpoModule.showMessageList()).resolves.toEqual({ dismissed: true });
+		expect(getMockBackend().presentedScreens).toEqual([{ screen: "messageList" }]);
+	});
+});
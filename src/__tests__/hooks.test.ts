@@ -0,0 +1,212 @@
+import { act, createElement, ReactElement } from "react";
+
+import EcsdkExpoModule, {
+	EcsdkErrorCode,
+	useActiveOrganization,
+	useOrganizations,
+	useUnreadCount,
+} from "..";
+import {
+	getMockModule,
+	resetEcsdkMock,
+	seedEcsdkMock,
+	setMockBackend,
+	simulateNotificationReceived,
+} from "../testing";
+
+const METRO = { organizationId: 7, name: "Metro", description: "" };
+const HARBOR = { organizationId: 9, name: "Harbor", description: "" };
+
+type TestRenderer = {
+	update(element: ReactElement): void;
+	unmount(): void;
+};
+
+// react-test-renderer comes with jest-expo, without type declarations
+const { create } = require("react-test-renderer") as {
+	create: (element: ReactElement) => TestRenderer;
+};
+
+// Lets act() flush effects and state updates, as in a React test environment
+(globalThis as { IS_REACT_ACT_ENVIRONMENT?: boolean }).IS_REACT_ACT_ENVIRONMENT = true;
+
+/**
+ * Renders a hook in a test component and returns its latest result
+ */
+async function renderHook<T, P>(hook: (props: P) => T, initialProps: P) {
+	const result = { current: undefined as T };
+	const TestComponent = (props: object) => {
+		result.current = hook(props as P);
+		return null;
+	};
+	let renderer!: TestRenderer;
+	await act(async () => {
+		renderer = create(createElement(TestComponent, initialProps as object));
+	});
+	return {
+		result,
+		rerender: (props: P) =>
+			act(async () => renderer.update(createElement(TestComponent, props as object))),
+		unmount: () => act(async () => renderer.unmount()),
+	};
+}
+
+/**
+ * A promise that resolves when the test says so
+ */
+function deferred<T>() {
+	let resolve!: (value: T) => void;
+	const promise = new Promise<T>((res) => {
+		resolve = res;
+	});
+	return { promise, resolve };
+}
+
+beforeEach(() => {
+	resetEcsdkMock();
+	jest.restoreAllMocks();
+});
+
+describe("useOrganizations", () => {
+	it("lists the joined organizations", async () => {
+		seedEcsdkMock({ clientToken: "test-token", joinedOrganizations: [METRO] });
+
+		const { result, unmount } = await renderHook(useOrganizations, {});
+
+		expect(result.current.organizations).toEqual([METRO]);
+		expect(result.current.loading).toBe(false);
+		expect(result.current.error).toBeNull();
+		await unmount();
+	});
+
+	it("is empty without making a request when logged out", async () => {
+		const listOrganizations = jest.spyOn(EcsdkExpoModule, "listOrganizations");
+
+		const { result, unmount } = await renderHook(useOrganizations, {});
+
+		expect(result.current.organizations).toEqual([]);
+		expect(result.current.loading).toBe(false);
+		expect(listOrganizations).not.toHaveBeenCalled();
+		await unmount();
+	});
+
+	it("drops a slow response for a previous joined value", async () => {
+		setMockBackend({ clientToken: "test-token" });
+		const joinedRequest = deferred<(typeof METRO)[]>();
+		jest
+			.spyOn(EcsdkExpoModule, "listOrganizations")
+			.mockImplementation((joined) =>
+				joined ? joinedRequest.promise : Promise.resolve([HARBOR]),
+			);
+
+		const { result, rerender, unmount } = await renderHook(useOrganizations, { joined: true });
+		await rerender({ joined: false });
+		await act(async () => joinedRequest.resolve([METRO]));
+
+		expect(result.current.organizations).toEqual([HARBOR]);
+		expect(result.current.loading).toBe(false);
+		await unmount();
+	});
+
+	it("reports errors as EcsdkError", async () => {
+		setMockBackend({ clientToken: "test-token" });
+		jest.spyOn(EcsdkExpoModule, "listOrganizations").mockRejectedValue(new Error("offline"));
+
+		const { result, unmount } = await renderHook(useOrganizations, {});
+
+		expect(result.current.error?.code).toBe(EcsdkErrorCode.Unknown);
+		expect(result.current.loading).toBe(false);
+		await unmount();
+	});
+});
+
+describe("useActiveOrganization", () => {
+	it("reads the active organization, and null for organizationId 0", async () => {
+		seedEcsdkMock({ clientToken: "test-token", joinedOrganizations: [METRO] });
+
+		const { result, unmount } = await renderHook(useActiveOrganization, undefined);
+
+		expect(result.current.organization).toEqual(METRO);
+
+		setMockBackend({ activeOrganizationId: null });
+		await act(() => result.current.refresh());
+
+		expect(result.current.organization).toBeNull();
+		await unmount();
+	});
+
+	it("drops a slow refresh that an organization change superseded", async () => {
+		seedEcsdkMock({ clientToken: "test-token", joinedOrganizations: [METRO, HARBOR] });
+		const { result, unmount } = await renderHook(useActiveOrganization, undefined);
+		const slowRequest = deferred<typeof METRO>();
+		jest
+			.spyOn(EcsdkExpoModule, "getActiveOrganization")
+			.mockReturnValueOnce(slowRequest.promise);
+
+		let refresh!: Promise<void>;
+		act(() => {
+			refresh = result.current.refresh();
+		});
+		await act(() => result.current.setActiveOrganization(HARBOR.organizationId));
+		await act(async () => {
+			slowRequest.resolve(METRO);
+			await refresh;
+		});
+
+		expect(result.current.organization).toEqual(HARBOR);
+		expect(result.current.loading).toBe(false);
+		expect(result.current.error).toBeNull();
+		await unmount();
+	});
+
+	it("keeps the organization and reports the error when setActiveOrganization fails", async () => {
+		seedEcsdkMock({ clientToken: "test-token", joinedOrganizations: [METRO] });
+		const { result, unmount } = await renderHook(useActiveOrganization, undefined);
+
+		// Not an organization on the mock backend
+		await act(() => result.current.setActiveOrganization(99));
+
+		expect(result.current.organization).toEqual(METRO);
+		expect(result.current.error).not.toBeNull();
+		expect(result.current.loading).toBe(false);
+		await unmount();
+	});
+});
+
+describe("useUnreadCount", () => {
+	it("reads the count and follows onUnreadCountChanged", async () => {
+		setMockBackend({ clientToken: "test-token", unreadCount: 2 });
+
+		const { result, unmount } = await renderHook(useUnreadCount, undefined);
+
+		expect(result.current.count).toBe(2);
+
+		await act(async () => simulateNotificationReceived());
+
+		expect(result.current.count).toBe(3);
+		await unmount();
+	});
+
+	it("keeps the count from an event over a slow response", async () => {
+		setMockBackend({ clientToken: "test-token" });
+		const slowRequest = deferred<number>();
+		jest.spyOn(EcsdkExpoModule, "getUnreadCount").mockReturnValueOnce(slowRequest.promise);
+
+		const { result, unmount } = await renderHook(useUnreadCount, undefined);
+		await act(async () => getMockModule().setUnreadCount(5));
+		await act(async () => slowRequest.resolve(1));
+
+		expect(result.current.count).toBe(5);
+		expect(result.current.loading).toBe(false);
+		await unmount();
+	});
+
+	it("is 0 when logged out", async () => {
+		setMockBackend({ unreadCount: 4 });
+
+		const { result, unmount } = await renderHook(useUnreadCount, undefined);
+
+		expect(result.current.count).toBe(0);
+		await unmount();
+	});
+});
@@ -0,0 +1,114 @@
+import EcsdkExpoModule from "..";
+import {
+	getMockBackend,
+	getPresentedScreens,
+	resetEcsdkMock,
+	seedEcsdkMock,
+	simulateLogout,
+	simulateNotificationOpened,
+	simulateNotificationReceived,
+	simulatePushTokenRefresh,
+} from "../testing";
+
+const METRO = { organizationId: 7, name: "Metro", description: "" };
+const HARBOR = { organizationId: 9, name: "Harbor", description: "" };
+
+beforeEach(() => {
+	resetEcsdkMock();
+});
+
+describe("seedEcsdkMock", () => {
+	it("adds and joins organizations and makes the first one active", async () => {
+		seedEcsdkMock({ clientToken: "test-token", joinedOrganizations: [METRO, HARBOR] });
+
+		expect(getMockBackend()).toMatchObject({ joinedOrganizationIds: [7, 9], activeOrganizationId: 7 });
+		await expect(EcsdkExpoModule.listOrganizations(true)).resolves.toEqual([METRO, HARBOR]);
+		await expect(EcsdkExpoModule.getActiveOrganization()).resolves.toEqual(METRO);
+	});
+
+	it("keeps an explicit activeOrganizationId", () => {
+		seedEcsdkMock({ joinedOrganizations: [METRO, HARBOR], activeOrganizationId: 9 });
+
+		expect(getMockBackend().activeOrganizationId).toBe(9);
+	});
+
+	it("does not fire events", () => {
+		const listener = jest.fn();
+		const subscriptions = [
+			EcsdkExpoModule.addListener("onSessionChanged", listener),
+			EcsdkExpoModule.addListener("onActiveOrganizationChanged", listener),
+		];
+
+		seedEcsdkMock({ clientToken: "test-token", joinedOrganizations: [METRO] });
+		subscriptions.forEach((subscription) => subscription.remove());
+
+		expect(listener).not.toHaveBeenCalled();
+		expect(EcsdkExpoModule.getClientToken()).toBe("test-token");
+	});
+});
+
+describe("getPresentedScreens", () => {
+	it("lists the screens opened since the last reset, oldest first", async () => {
+		seedEcsdkMock({ clientToken: "test-token", joinedOrganizations: [METRO] });
+
+		await EcsdkExpoModule.showMessageList();
+		await EcsdkExpoModule.presentReportScreen();
+		expect(getPresentedScreens()).toEqual([{ screen: "messageList" }, { screen: "report" }]);
+
+		resetEcsdkMock();
+		expect(getPresentedScreens()).toEqual([]);
+	});
+});
+
+describe("simulate helpers", () => {
+	it("simulateNotificationReceived emits onNotificationReceived with the data and counts it as unread", async () => {
+		seedEcsdkMock({ clientToken: "test-token" });
+		const received = jest.fn();
+		const unreadCountChanged = jest.fn();
+		const subscriptions = [
+			EcsdkExpoModule.addListener("onNotificationReceived", received),
+			EcsdkExpoModule.addListener("onUnreadCountChanged", unreadCountChanged),
+		];
+
+		simulateNotificationReceived({ alertId: "42" });
+		simulateNotificationReceived({ alertId: "43" });
+		subscriptions.forEach((subscription) => subscription.remove());
+
+		expect(received).toHaveBeenCalledWith({ data: { alertId: "42" } });
+		expect(unreadCountChanged.mock.calls).toEqual([[{ count: 1 }], [{ count: 2 }]]);
+		await expect(EcsdkExpoModule.getUnreadCount()).resolves.toBe(2);
+	});
+
+	it("simulateNotificationOpened emits onNotificationOpened", () => {
+		const listener = jest.fn();
+		const subscription = EcsdkExpoModule.addListener("onNotificationOpened", listener);
+
+		simulateNotificationOpened({ alertId: "42" });
+		subscription.remove();
+
+		expect(listener).toHaveBeenCalledWith({ data: { alertId: "42" } });
+	});
+
+	it("simulatePushTokenRefresh stores the token and emits onPushTokenChanged", async () => {
+		const listener = jest.fn();
+		const subscription = EcsdkExpoModule.addListener("onPushTokenChanged", listener);
+
+		simulatePushTokenRefresh("new-token");
+		subscription.remove();
+
+		expect(listener).toHaveBeenCalledWith({ type: "fcm", token: "new-token" });
+		await expect(EcsdkExpoModule.getPushToken()).resolves.toEqual({ type: "fcm", token: "new-token" });
+	});
+
+	it("simulateLogout ends the session and clears the active organization", () => {
+		seedEcsdkMock({ clientToken: "test-token", joinedOrganizations: [METRO] });
+		const listener = jest.fn();
+		const subscription = EcsdkExpoModule.addListener("onSessionChanged", listener);
+
+		simulateLogout();
+		subscription.remove();
+
+		expect(listener).toHaveBeenCalledWith({ loggedIn: false, clientToken: null });
+		expect(EcsdkExpoModule.getClientToken()).toBeNull();
+	});
+});
@@ -0,0 +1,5 @@
+export * from "./useEcsdkSession";
+export * from "./useOrganizations";
+export * from "./useActiveOrganization";
+export * from "./useEcsdkMessages";
+export * from "./useUnreadCount";
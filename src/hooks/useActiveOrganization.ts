@@ -0,0 +1,57 @@
+import { useCallback, useEffect } from "react";
+
+import { EcsdkError } from "../EcsdkError";
+import { Organization } from "../EcsdkExpo.types";
+import {
+	addActiveOrganizationChangedListener,
+	addSessionChangedListener,
+} from "../EcsdkExpoEvents";
+import EcsdkExpoModule from "../EcsdkExpoModule";
+import { useNativeQuery } from "./useNativeQuery";
+
+export type ActiveOrganizationState = {
+	/** The active organization, or null if none is selected */
+	organization: Organization | null;
+	loading: boolean;
+	error: EcsdkError | null;
+	/** Re-read the active organization from the native SDK */
+	refresh: () => Promise<void>;
+	setActiveOrganization: (organizationId: number) => Promise<void>;
+};
+
+/**
+ * Tracks the active organization
+ * Wraps getActiveOrganization/setActiveOrganization and re-renders on
+ * onActiveOrganizationChanged and onSessionChanged events
+ */
+export function useActiveOrganization(): ActiveOrganizationState {
+	const query = useCallback(async () => {
+		const activeOrg = await EcsdkExpoModule.getActiveOrganization();
+		// The native modules report "no active organization" as organizationId 0
+		return activeOrg.organizationId !== 0 ? activeOrg : null;
+	}, []);
+	const {
+		value: organization,
+		loading,
+		error,
+		refresh,
+		mutate,
+		supersede,
+	} = useNativeQuery<Organization | null>(query, null);
+
+	const setActiveOrganization = useCallback(
+		(organizationId: number) => mutate(() => EcsdkExpoModule.setActiveOrganization(organizationId)),
+		[mutate],
+	);
+
+	useEffect(() => {
+		refresh();
+		const subscriptions = [
+			addActiveOrganizationChangedListener((event) => supersede(event.organization)),
+			addSessionChangedListener(() => refresh()),
+		];
+		return () => subscriptions.forEach((subscription) => subscription.remove());
+	}, [refresh, supersede]);
+
+	return { organization, loading, error, refresh, setActiveOrganization };
+}
@@ -0,0 +1,63 @@
+import { useCallback, useEffect, useState } from "react";
+
+import { EcsdkError } from "../EcsdkError";
+import { NotificationReceivedEvent } from "../EcsdkExpo.types";
+import {
+	addNotificationReceivedListener,
+	addSessionChangedListener,
+} from "../EcsdkExpoEvents";
+import EcsdkExpoModule from "../EcsdkExpoModule";
+
+export type EcsdkMessagesState = {
+	/** ELERTS notifications received since the hook mounted, newest first */
+	notifications: NotificationReceivedEvent[];
+	/** The most recently received notification, or null */
+	lastNotification: NotificationReceivedEvent | null;
+	error: EcsdkError | null;
+	/** Forget the notifications received so far */
+	clear: () => void;
+	/** Present the native message list; resolves when it is closed */
+	showMessageList: () => Promise<void>;
+};
+
+/**
+ * Collects ELERTS notifications received while mounted
+ * Listens to onNotificationReceived and clears on logout
+ */
+export function useEcsdkMessages(): EcsdkMessagesState {
+	const [notifications, setNotifications] = useState<NotificationReceivedEvent[]>([]);
+	const [error, setError] = useState<EcsdkError | null>(null);
+
+	const clear = useCallback(() => setNotifications([]), []);
+
+	const showMessageList = useCallback(async () => {
+		try {
+			await EcsdkExpoModule.showMessageList();
+			setError(null);
+		} catch (e) {
+			setError(EcsdkError.from(e));
+		}
+	}, []);
+
+	useEffect(() => {
+		const subscriptions = [
+			addNotificationReceivedListener((event) => {
+				setNotifications((current) => [event, ...current]);
+			}),
+			addSessionChangedListener((event) => {
+				if (!event.loggedIn) {
+					setNotifications([]);
+				}
+			}),
+		];
+		return () => subscriptions.forEach((subscription) => subscription.remove());
+	}, []);
+
+	return {
+		notifications,
+		lastNotification: notifications[0] ?? null,
+		error,
+		clear,
+		showMessageList,
+	};
+}
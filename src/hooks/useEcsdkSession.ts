@@ -0,0 +1,75 @@
+import { useCallback, useEffect, useState } from "react";
+
+import { EcsdkError } from "../EcsdkError";
+import { addSessionChangedListener } from "../EcsdkExpoEvents";
+import EcsdkExpoModule from "../EcsdkExpoModule";
+
+export type EcsdkSessionState = {
+	/** The current client token, or null if not logged in */
+	clientToken: string | null;
+	isLoggedIn: boolean;
+	loading: boolean;
+	error: EcsdkError | null;
+	/** Re-read the client token from the native SDK */
+	refresh: () => void;
+	login: (clientToken: string) => void;
+	logout: () => void;
+};
+
+/**
+ * Tracks the ELERTS client session
+ * Wraps getClientToken/login/logout and re-renders on onSessionChanged events
+ */
+export function useEcsdkSession(): EcsdkSessionState {
+	const [clientToken, setClientToken] = useState<string | null>(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState<EcsdkError | null>(null);
+
+	const refresh = useCallback(() => {
+		setLoading(true);
+		try {
+			setClientToken(EcsdkExpoModule.getClientToken());
+			setError(null);
+		} catch (e) {
+			setError(EcsdkError.from(e));
+		} finally {
+			setLoading(false);
+		}
+	}, []);
+
+	const login = useCallback((token: string) => {
+		try {
+			EcsdkExpoModule.login(token);
+			setError(null);
+		} catch (e) {
+			setError(EcsdkError.from(e));
+		}
+	}, []);
+
+	const logout = useCallback(() => {
+		try {
+			EcsdkExpoModule.logout();
+			setError(null);
+		} catch (e) {
+			setError(EcsdkError.from(e));
+		}
+	}, []);
+
+	useEffect(() => {
+		refresh();
+		const subscription = addSessionChangedListener((event) => {
+			setClientToken(event.clientToken);
+		});
+		return () => subscription.remove();
+	}, [refresh]);
+
+	return {
+		clientToken,
+		isLoggedIn: clientToken !== null,
+		loading,
+		error,
+		refresh,
+		login,
+		logout,
+	};
+}
@@ -0,0 +1,68 @@
+import { useCallback, useRef, useState } from "react";
+
+import { EcsdkError } from "../EcsdkError";
+
+export type NativeQueryState<T> = {
+	value: T;
+	loading: boolean;
+	error: EcsdkError | null;
+	/** Run the query again; a response for an older request is dropped */
+	refresh: () => Promise<void>;
+	/** Run a native call that changes the value, tracking its loading state and error */
+	mutate: (action: () => Promise<unknown>) => Promise<void>;
+	/** Set the value from an event, superseding any request in flight */
+	supersede: (value: T) => void;
+};
+
+/**
+ * Loading and error state shared by the hooks that read a value from the native module
+ * Not exported from the package; the public hooks wrap it
+ */
+export function useNativeQuery<T>(query: () => Promise<T>, initialValue: T): NativeQueryState<T> {
+	const [value, setValue] = useState<T>(initialValue);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState<EcsdkError | null>(null);
+	// Guards against a slow response overwriting a newer one, or a value set by an event
+	const requestId = useRef(0);
+
+	const run = useCallback(async (action: () => Promise<unknown>, id: number) => {
+		setLoading(true);
+		try {
+			await action();
+			if (id === requestId.current) {
+				setError(null);
+			}
+		} catch (e) {
+			if (id === requestId.current) {
+				setError(EcsdkError.from(e));
+			}
+		} finally {
+			if (id === requestId.current) {
+				setLoading(false);
+			}
+		}
+	}, []);
+
+	const refresh = useCallback(() => {
+		const id = ++requestId.current;
+		return run(async () => {
+			const result = await query();
+			if (id === requestId.current) {
+				setValue(result);
+			}
+		}, id);
+	}, [query, run]);
+
+	const mutate = useCallback(
+		(action: () => Promise<unknown>) => run(action, ++requestId.current),
+		[run],
+	);
+
+	const supersede = useCallback((next: T) => {
+		requestId.current++;
+		setValue(next);
+		setLoading(false);
+	}, []);
+
+	return { value, loading, error, refresh, mutate, supersede };
+}
@@ -0,0 +1,50 @@
+import { useCallback, useEffect } from "react";
+
+import { EcsdkError } from "../EcsdkError";
+import { Organization } from "../EcsdkExpo.types";
+import {
+	addActiveOrganizationChangedListener,
+	addSessionChangedListener,
+} from "../EcsdkExpoEvents";
+import EcsdkExpoModule from "../EcsdkExpoModule";
+import { useNativeQuery } from "./useNativeQuery";
+
+export type UseOrganizationsOptions = {
+	/** If true, lists joined organizations; if false, lists available organizations (default: true) */
+	joined?: boolean;
+};
+
+export type OrganizationsState = {
+	organizations: Organization[];
+	loading: boolean;
+	error: EcsdkError | null;
+	/** Re-fetch the organization list from the ELERTS server */
+	refresh: () => Promise<void>;
+};
+
+/**
+ * Lists joined or available organizations
+ * Wraps listOrganizations and re-fetches when the session or active organization changes
+ */
+export function useOrganizations({
+	joined = true,
+}: UseOrganizationsOptions = {}): OrganizationsState {
+	const query = useCallback(async (): Promise<Organization[]> => {
+		if (!EcsdkExpoModule.getClientToken()) {
+			return [];
+		}
+		return EcsdkExpoModule.listOrganizations(joined);
+	}, [joined]);
+	const { value: organizations, loading, error, refresh } = useNativeQuery(query, []);
+
+	useEffect(() => {
+		refresh();
+		const subscriptions = [
+			addSessionChangedListener(() => refresh()),
+			addActiveOrganizationChangedListener(() => refresh()),
+		];
+		return () => subscriptions.forEach((subscription) => subscription.remove());
+	}, [refresh]);
+
+	return { organizations, loading, error, refresh };
+}
@@ -0,0 +1,43 @@
+import { useCallback, useEffect } from "react";
+
+import { EcsdkError } from "../EcsdkError";
+import {
+	addSessionChangedListener,
+	addUnreadCountChangedListener,
+} from "../EcsdkExpoEvents";
+import EcsdkExpoModule from "../EcsdkExpoModule";
+import { useNativeQuery } from "./useNativeQuery";
+
+export type UnreadCountState = {
+	/** ELERTS notifications received since the message list was last opened; 0 when logged out */
+	count: number;
+	loading: boolean;
+	error: EcsdkError | null;
+	/** Re-read the count from the native module */
+	refresh: () => Promise<void>;
+};
+
+/**
+ * Tracks the unread count
+ * Wraps getUnreadCount and updates on onUnreadCountChanged
+ */
+export function useUnreadCount(): UnreadCountState {
+	const query = useCallback(async () => {
+		if (!EcsdkExpoModule.getClientToken()) {
+			return 0;
+		}
+		return EcsdkExpoModule.getUnreadCount();
+	}, []);
+	const { value: count, loading, error, refresh, supersede } = useNativeQuery(query, 0);
+
+	useEffect(() => {
+		refresh();
+		const subscriptions = [
+			addSessionChangedListener(() => refresh()),
+			addUnreadCountChangedListener((event) => supersede(event.count)),
+		];
+		return () => subscriptions.forEach((subscription) => subscription.remove());
+	}, [refresh, supersede]);
+
+	return { count, loading, error, refresh };
+}
@@ -1,3 +1,8 @@
 // Reexport the native module. On native platforms, it will be resolved to EcsdkExpoModule.ts.
+// On web, it will be resolved to EcsdkExpoModule.web.ts.
 export { default } from "./EcsdkExpoModule";
 export * from "./EcsdkExpo.types";
+export * from "./EcsdkError";
+export * from "./EcsdkExpoEvents";
+export * from "./EcsdkPush";
+export * from "./hooks";
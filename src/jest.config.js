@@ -0,0 +1,19 @@
+const createJestPreset = require("expo-module-scripts/createJestPreset");
+const path = require("path");
+
+// The module's JavaScript is the same on iOS and Android, so its tests run once, with the iOS preset.
+// The native module is not installed here, so the package's default export is the in-memory mock.
+const preset = createJestPreset(require("jest-expo/ios/jest-preset"));
+const [tsJest, tsJestOptions] = preset.transform["^.+\\.tsx?$"];
+
+module.exports = {
+	...preset,
+	displayName: "src",
+	// createJestPreset expects the package root, and adds <rootDir>/src to roots
+	rootDir: path.resolve(__dirname, ".."),
+	transform: {
+		...preset.transform,
+		// expo-modules-core ships its TypeScript sources; only type-check this package's files
+		"^.+\\.tsx?$": [tsJest, { ...tsJestOptions, diagnostics: { exclude: ["**/node_modules/**"] } }],
+	},
+};
@@ -0,0 +1,297 @@
+import { NativeModule } from "expo";
+
+import { getMockBackend, MockPresentedScreen } from "./mockBackend";
+import { EcsdkError, EcsdkErrorCode } from "../EcsdkError";
+import {
+	ClientTokenResponse,
+	EcsdkExpoModuleEvents,
+	NotificationChannelOptions,
+	NotificationPermissionOptions,
+	NotificationPermissionStatus,
+	Organization,
+	ProfileScreenResult,
+	PushToken,
+	ReportScreenResult,
+	ScreenResult,
+	UserProfile,
+} from "../EcsdkExpo.types";
+import type { EcsdkExpoModuleMethods } from "../EcsdkExpoModule";
+
+// Returned by getActiveOrganization when there is no active organization, as on native
+const NO_ORGANIZATION: Organization = { organizationId: 0, name: "", description: "" };
+
+let nextId = 1000;
+const createId = () => String(nextId++);
+
+const delay = () => {
+	const { latency } = getMockBackend();
+	return latency > 0 ? new Promise((resolve) => setTimeout(resolve, latency)) : Promise.resolve();
+};
+
+const requireClientToken = (): string => {
+	const { clientToken } = getMockBackend();
+	if (!clientToken) {
+		throw new EcsdkError(
+			EcsdkErrorCode.NotLoggedIn,
+			"No client token available. Please login first.",
+		);
+	}
+	return clientToken;
+};
+
+const findOrganization = (organizationId: number): Organization => {
+	const organization = getMockBackend().organizations.find(
+		(org) => org.organizationId === organizationId,
+	);
+	if (!organization) {
+		throw new EcsdkError(EcsdkErrorCode.OrganizationNotFound, "Organization not found");
+	}
+	return organization;
+};
+
+/**
+ * In-memory implementation of the native module, backed by the state in `mockBackend.ts`
+ * Used on web and in Jest, where the ELERTS SDKs are not available
+ */
+export class MockEcsdkExpoModule
+	extends NativeModule<EcsdkExpoModuleEvents>
+	implements EcsdkExpoModuleMethods
+{
+	private emitActiveOrganizationChanged() {
+		const { activeOrganizationId } = getMockBackend();
+		const organization =
+			getMockBackend().organizations.find(
+				(org) => org.organizationId === activeOrganizationId,
+			) ?? null;
+		this.emit("onActiveOrganizationChanged", { organization });
+	}
+
+	private async presentScreen(screen: MockPresentedScreen): Promise<ScreenResult> {
+		requireClientToken();
+		const backend = getMockBackend();
+		backend.presentedScreens = [...backend.presentedScreens, screen];
+		await delay();
+		return { dismissed: true };
+	}
+
+	/**
+	 * Sets the unread count in the mock backend and emits onUnreadCountChanged if it changed,
+	 * like the native modules do when an ELERTS push arrives or the message list opens.
+	 * Mock only; used by the ecsdk-expo/testing helpers.
+	 */
+	setUnreadCount(count: number): void {
+		const backend = getMockBackend();
+		if (count !== backend.unreadCount) {
+			backend.unreadCount = count;
+			this.emit("onUnreadCountChanged", { count });
+		}
+	}
+
+	getClientToken(): string | null {
+		return getMockBackend().clientToken;
+	}
+
+	getEnvironment(): string | null {
+		return getMockBackend().environment;
+	}
+
+	async createClient(profile: UserProfile): Promise<ClientTokenResponse> {
+		await delay();
+		const backend = getMockBackend();
+		backend.clientToken = `mock-client-token-${createId()}`;
+		backend.profile = { ...profile };
+		this.emit("onSessionChanged", { loggedIn: true, clientToken: backend.clientToken });
+		return { token: backend.clientToken };
+	}
+
+	async updateClientInfo(profile: UserProfile): Promise<void> {
+		requireClientToken();
+		await delay();
+		const backend = getMockBackend();
+		backend.profile = { ...backend.profile, ...profile };
+	}
+
+	login(clientToken: string): void {
+		if (!clientToken.trim()) {
+			throw new EcsdkError(EcsdkErrorCode.InvalidToken, "Client token must not be empty");
+		}
+		getMockBackend().clientToken = clientToken;
+		this.emit("onSessionChanged", { loggedIn: true, clientToken });
+	}
+
+	logout(): void {
+		const backend = getMockBackend();
+		backend.clientToken = null;
+		backend.activeOrganizationId = null;
+		this.emit("onSessionChanged", { loggedIn: false, clientToken: null });
+		this.emit("onActiveOrganizationChanged", { organization: null });
+		this.setUnreadCount(0);
+	}
+
+	async getActiveOrganization(): Promise<Organization> {
+		await delay();
+		const { activeOrganizationId, organizations } = getMockBackend();
+		return (
+			organizations.find((org) => org.organizationId === activeOrganizationId) ??
+			NO_ORGANIZATION
+		);
+	}
+
+	async setActiveOrganization(organizationId: number): Promise<{ success: boolean }> {
+		requireClientToken();
+		await delay();
+		findOrganization(organizationId);
+		getMockBackend().activeOrganizationId = organizationId;
+		this.emitActiveOrganizationChanged();
+		return { success: true };
+	}
+
+	async listOrganizations(joined: boolean): Promise<Organization[]> {
+		requireClientToken();
+		await delay();
+		const { organizations, joinedOrganizationIds } = getMockBackend();
+		return joined
+			? organizations.filter((org) => joinedOrganizationIds.includes(org.organizationId))
+			: [...organizations];
+	}
+
+	async joinOrganization(organizationId: number): Promise<{ success: boolean }> {
+		requireClientToken();
+		await delay();
+		findOrganization(organizationId);
+		const backend = getMockBackend();
+		if (!backend.joinedOrganizationIds.includes(organizationId)) {
+			backend.joinedOrganizationIds = [...backend.joinedOrganizationIds, organizationId];
+		}
+		// Joining also makes the organization active, as on Android
+		backend.activeOrganizationId = organizationId;
+		this.emitActiveOrganizationChanged();
+		return { success: true };
+	}
+
+	getAvailableOrganizations(): Organization[] {
+		const { organizations, joinedOrganizationIds } = getMockBackend();
+		return organizations.filter((org) => joinedOrganizationIds.includes(org.organizationId));
+	}
+
+	async presentReportScreen(): Promise<ReportScreenResult> {
+		requireClientToken();
+		if (getMockBackend().activeOrganizationId === null) {
+			throw new EcsdkError(
+				EcsdkErrorCode.NoActiveOrganization,
+				"No active organization. Please join an organization first.",
+			);
+		}
+		return { ...(await this.presentScreen({ screen: "report" })), reportSubmitted: null };
+	}
+
+	presentOrganizationScreen(): Promise<ScreenResult> {
+		return this.presentScreen({ screen: "organization" });
+	}
+
+	async presentProfileScreen(): Promise<ProfileScreenResult> {
+		return { ...(await this.presentScreen({ screen: "profile" })), profileSaved: false };
+	}
+
+	showCallPrompt(): void {
+		const backend = getMockBackend();
+		backend.presentedScreens = [...backend.presentedScreens, { screen: "callPrompt" }];
+	}
+
+	async showMessageList(): Promise<ScreenResult> {
+		requireClientToken();
+		this.setUnreadCount(0);
+		return this.presentScreen({ screen: "messageList" });
+	}
+
+	async getUnreadCount(): Promise<number> {
+		requireClientToken();
+		await delay();
+		return getMockBackend().unreadCount;
+	}
+
+	async getNotificationPermissionStatus(): Promise<NotificationPermissionStatus> {
+		return getMockBackend().notificationPermission;
+	}
+
+	async requestNotificationPermission(
+		options: NotificationPermissionOptions = {},
+	): Promise<NotificationPermissionStatus> {
+		await delay();
+		const backend = getMockBackend();
+		if (backend.notificationPermission === "undetermined") {
+			backend.notificationPermission = options.provisional ? "provisional" : "granted";
+		}
+		return backend.notificationPermission;
+	}
+
+	async registerForRemoteNotifications(): Promise<string> {
+		await delay();
+		const backend = getMockBackend();
+		if (!backend.pushToken) {
+			backend.pushToken = `mock-push-token-${createId()}`;
+			this.emit("onPushTokenChanged", { type: "fcm", token: backend.pushToken });
+		}
+		return backend.pushToken;
+	}
+
+	async getPushToken(): Promise<PushToken> {
+		return { type: "fcm", token: await this.registerForRemoteNotifications() };
+	}
+
+	async syncPushTokenWithServer(): Promise<PushToken> {
+		requireClientToken();
+		return this.getPushToken();
+	}
+
+	async configureNotificationChannel(
+		options: NotificationChannelOptions = {},
+	): Promise<{ channelId: string | null }> {
+		const importances = ["min", "low", "default", "high", "max"];
+		if (options.importance !== undefined && !importances.includes(options.importance)) {
+			throw new EcsdkError(
+				EcsdkErrorCode.InvalidArgument,
+				`importance must be one of ${importances.join(", ")}`,
+			);
+		}
+		await delay();
+		return { channelId: "ecsdk_alerts" };
+	}
+
+	async getFCMToken(): Promise<string> {
+		await delay();
+		const { pushToken } = getMockBackend();
+		if (!pushToken) {
+			throw new EcsdkError(EcsdkErrorCode.PushRegistrationFailed, "FCM token is null");
+		}
+		return pushToken;
+	}
+
+	async updateFCMToken(fcmToken?: string): Promise<{ success: boolean }> {
+		const backend = getMockBackend();
+		if (fcmToken) {
+			backend.pushToken = fcmToken;
+		}
+		requireClientToken();
+		await delay();
+		return { success: true };
+	}
+
+	getStoredFCMToken(): string | null {
+		return getMockBackend().pushToken;
+	}
+
+	async handleRemoteMessage(data: Record<string, string>): Promise<void> {
+		await delay();
+		this.emit("onNotificationReceived", { data });
+		this.setUnreadCount(getMockBackend().unreadCount + 1);
+	}
+
+	async handlePushToken(token: string): Promise<void> {
+		if (!token) {
+			throw new EcsdkError(EcsdkErrorCode.InvalidArgument, "Push token must not be empty");
+		}
+		getMockBackend().pushToken = token;
+		this.emit("onPushTokenChanged", { type: "fcm", token });
+	}
+}
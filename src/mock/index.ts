@@ -0,0 +1,2 @@
+export * from "./mockBackend";
+export * from "./MockEcsdkExpoModule";
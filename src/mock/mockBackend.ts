@@ -0,0 +1,88 @@
+import { NotificationPermissionStatus, Organization, UserProfile } from "../EcsdkExpo.types";
+
+/**
+ * A native screen the app asked the mock module to present
+ */
+export type MockPresentedScreen =
+	| { screen: "report" }
+	| { screen: "organization" }
+	| { screen: "profile" }
+	| { screen: "messageList" }
+	| { screen: "callPrompt" };
+
+/**
+ * State behind the mock module used on web and in Jest
+ */
+export type MockBackend = {
+	/** Client token, or null when logged out */
+	clientToken: string | null;
+	profile: UserProfile;
+	/** Every organization on the fake ELERTS server */
+	organizations: Organization[];
+	joinedOrganizationIds: number[];
+	activeOrganizationId: number | null;
+	/** ELERTS notifications received since the message list was last opened, as the native modules count them */
+	unreadCount: number;
+	/** FCM/APNS token, or null if push registration has not happened */
+	pushToken: string | null;
+	/** Notification permission; requestNotificationPermission grants it while "undetermined" (default) */
+	notificationPermission: NotificationPermissionStatus;
+	/** Screens presented so far, oldest first */
+	presentedScreens: MockPresentedScreen[];
+	/** Delay in milliseconds before async methods settle (default: 0) */
+	latency: number;
+	/** Returned by getEnvironment(), as if selected by the config plugin (default: null) */
+	environment: string | null;
+};
+
+const createDefaultBackend = (): MockBackend => ({
+	clientToken: null,
+	profile: {},
+	organizations: [
+		{
+			organizationId: 1,
+			name: "Metro Transit",
+			description: "Report safety issues on buses and trains",
+		},
+		{
+			organizationId: 2,
+			name: "Campus Safety",
+			description: "Report safety issues on campus",
+		},
+	],
+	joinedOrganizationIds: [],
+	activeOrganizationId: null,
+	unreadCount: 0,
+	pushToken: null,
+	notificationPermission: "undetermined",
+	presentedScreens: [],
+	latency: 0,
+	environment: null,
+});
+
+let backend = createDefaultBackend();
+
+/**
+ * Get the mock backend state
+ * The object is live; mutations are visible to the mock module
+ */
+export function getMockBackend(): MockBackend {
+	return backend;
+}
+
+/**
+ * Replace parts of the mock backend state, e.g. to seed organizations or a client token
+ * @returns The updated backend
+ */
+export function setMockBackend(overrides: Partial<MockBackend>): MockBackend {
+	backend = { ...backend, ...overrides };
+	return backend;
+}
+
+/**
+ * Restore the default mock backend state
+ */
+export function resetMockBackend(): MockBackend {
+	backend = createDefaultBackend();
+	return backend;
+}
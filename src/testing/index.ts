@@ -0,0 +1,115 @@
+/**
+ * Test utilities for apps that use ecsdk-expo, published as `ecsdk-expo/testing`.
+ *
+ * In Jest the package's default export is the in-memory MockEcsdkExpoModule, so no
+ * `jest.mock("ecsdk-expo")` is needed. These helpers seed its backend, fire the events the
+ * native modules would fire, and report which native screens the app asked to open.
+ */
+import { NotificationData, Organization } from "../EcsdkExpo.types";
+import EcsdkExpoModule from "../EcsdkExpoModule";
+import {
+	getMockBackend,
+	MockBackend,
+	MockEcsdkExpoModule,
+	MockPresentedScreen,
+	resetMockBackend,
+	setMockBackend,
+} from "../mock";
+
+export { getMockBackend, setMockBackend, resetMockBackend, MockEcsdkExpoModule };
+export type { MockBackend, MockPresentedScreen } from "../mock";
+
+/**
+ * Get the mock module instance behind the package's default export
+ * Use it with `jest.spyOn` to assert on or override individual methods
+ * @throws Error if the default export is the native module (e.g. the native module is installed in the test environment)
+ */
+export function getMockModule(): MockEcsdkExpoModule {
+	if (!(EcsdkExpoModule instanceof MockEcsdkExpoModule)) {
+		throw new Error(
+			"ecsdk-expo/testing: the native EcsdkExpo module is loaded, so the mock is not in use. " +
+				"The testing utilities only work where the native module is unavailable, such as Jest and web.",
+		);
+	}
+	return EcsdkExpoModule;
+}
+
+/**
+ * Restore the default mock backend and forget presented screens
+ * Call in `beforeEach` to isolate tests
+ */
+export function resetEcsdkMock(): void {
+	resetMockBackend();
+}
+
+export type SeedEcsdkMockOptions = Partial<MockBackend> & {
+	/** Organizations to add and join; the first one becomes active unless activeOrganizationId is given */
+	joinedOrganizations?: Organization[];
+};
+
+/**
+ * Seed the mock backend, e.g. with a logged-in client and joined organizations
+ * Sets the given fields like setMockBackend, and also adds joinedOrganizations to organizations and
+ * joinedOrganizationIds, making the first one active unless activeOrganizationId is given
+ * @returns The updated backend
+ */
+export function seedEcsdkMock({
+	joinedOrganizations,
+	...overrides
+}: SeedEcsdkMockOptions): MockBackend {
+	const backend = setMockBackend(overrides);
+	if (joinedOrganizations) {
+		const joinedIds = joinedOrganizations.map((org) => org.organizationId);
+		backend.organizations = [
+			...backend.organizations.filter((org) => !joinedIds.includes(org.organizationId)),
+			...joinedOrganizations,
+		];
+		backend.joinedOrganizationIds = [
+			...new Set([...backend.joinedOrganizationIds, ...joinedIds]),
+		];
+		if (overrides.activeOrganizationId === undefined && joinedIds.length > 0) {
+			backend.activeOrganizationId = joinedIds[0];
+		}
+	}
+	return backend;
+}
+
+/**
+ * Get the native screens the app asked to open since the last reset, oldest first
+ */
+export function getPresentedScreens(): MockPresentedScreen[] {
+	return [...getMockBackend().presentedScreens];
+}
+
+/**
+ * Simulate an ELERTS push arriving
+ * Like the native modules, this adds one to the unread count and fires onUnreadCountChanged
+ */
+export function simulateNotificationReceived(data: NotificationData = {}): void {
+	const module = getMockModule();
+	module.emit("onNotificationReceived", { data });
+	module.setUnreadCount(getMockBackend().unreadCount + 1);
+}
+
+/**
+ * Simulate the user tapping an ELERTS notification
+ */
+export function simulateNotificationOpened(data: NotificationData = {}): void {
+	getMockModule().emit("onNotificationOpened", { data });
+}
+
+/**
+ * Simulate the APNS/FCM token being issued or rotated
+ */
+export function simulatePushTokenRefresh(token: string, type: "apns" | "fcm" = "fcm"): void {
+	getMockBackend().pushToken = token;
+	getMockModule().emit("onPushTokenChanged", { type, token });
+}
+
+/**
+ * Simulate the session ending, e.g. the client token being revoked
+ * Fires the same events as `logout()`
+ */
+export function simulateLogout(): void {
+	getMockModule().logout();
+}